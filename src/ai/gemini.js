@@ -0,0 +1,72 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+import { parseJsonText, jsonParseError } from './json.js';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// レスポンスからテキスト部分を取り出す
+function extractText(resp) {
+  let text = resp?.text?.() ?? '';
+  if (!text && resp?.candidates?.[0]?.content?.parts) {
+    text = resp.candidates[0].content.parts
+      .map(p => p?.text)
+      .filter(Boolean)
+      .join('')
+      .trim();
+  }
+  return text;
+}
+
+/**
+ * Gemini プロバイダ（テキスト・JSON生成）
+ * @param {{apiKey?: string, model?: string}} [options]
+ */
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+} = {}) {
+  async function generate({ prompt, images = [], responseMimeType, temperature, maxOutputTokens = 10000, signal }) {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+      model,
+      generationConfig: { responseMimeType, temperature, maxOutputTokens }
+    });
+    const result = await generativeModel.generateContent([
+      ...images.map(image => ({
+        inlineData: { data: Buffer.from(image.data).toString('base64'), mimeType: image.mimeType || 'image/jpeg' }
+      })),
+      { text: prompt }
+    ], { signal });
+    return result?.response;
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    requiredEnv: 'GEMINI_API_KEY',
+    isConfigured: () => Boolean(apiKey),
+
+    async generateText({ temperature = 0.7, ...options }) {
+      const resp = await generate({ ...options, temperature, responseMimeType: 'text/plain' });
+      return (extractText(resp) || '').trim();
+    },
+
+    async generateJson({ temperature = 0, ...options }) {
+      const resp = await generate({ ...options, temperature, responseMimeType: 'application/json' });
+      const text = extractText(resp);
+      try {
+        return parseJsonText(text);
+      } catch {
+        throw jsonParseError('gemini', text, {
+          finishReason: resp?.candidates?.[0]?.finishReason,
+          promptFeedback: resp?.promptFeedback || null
+        });
+      }
+    },
+
+    async generateImage() {
+      throw new Error('gemini: image generation is not supported');
+    },
+  };
+}
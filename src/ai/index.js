@@ -0,0 +1,95 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { recordAiRequest } from '../metrics.js';
+
+/**
+ * AIプロバイダの共通インターフェース
+ * @typedef {object} AiProvider
+ * @property {string} name プロバイダ名
+ * @property {string} model 使うモデル名（キャッシュのキーにも使う）
+ * @property {string|null} requiredEnv 必須の環境変数名
+ * @property {() => boolean} isConfigured 利用可能な設定がされているか
+ * @property {(options: GenerateOptions) => Promise<string>} generateText テキスト生成
+ * @property {(options: GenerateOptions) => Promise<any>} generateJson JSON生成（パース済みの値を返す）
+ * @property {(options: GenerateOptions) => Promise<string>} generateImage 画像生成（Base64を返す）
+ */
+
+/**
+ * @typedef {object} GenerateOptions
+ * @property {string} prompt プロンプト
+ * @property {{data: Buffer, mimeType?: string}[]} [images] 入力画像
+ * @property {number} [temperature]
+ * @property {number} [maxOutputTokens]
+ * @property {AbortSignal} [signal] キャンセル用シグナル
+ * @property {string} [task] 処理の種類（モックが出力を決めるのに使う）
+ * @property {any} [input] 元の入力データ（モックが出力を決めるのに使う）
+ */
+
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+export const AI_PROVIDER_NAMES = Object.keys(factories);
+
+/**
+ * 名前からプロバイダを作る
+ * @param {string} name
+ * @returns {AiProvider}
+ */
+export function createAiProvider(name) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name} (available: ${AI_PROVIDER_NAMES.join(', ')})`);
+  }
+  return withMetrics(factory());
+}
+
+// 生成の呼び出しごとに回数・所要時間をメトリクスに記録する
+function withMetrics(provider) {
+  const measured = (method) => async (options = {}) => {
+    const startedAt = performance.now();
+    let outcome = 'error';
+    try {
+      const value = await provider[method](options);
+      outcome = 'ok';
+      return value;
+    } finally {
+      recordAiRequest({
+        provider: provider.name,
+        method,
+        task: options.task,
+        outcome,
+        seconds: (performance.now() - startedAt) / 1000,
+      });
+    }
+  };
+  return {
+    ...provider,
+    generateText: measured('generateText'),
+    generateJson: measured('generateJson'),
+    generateImage: measured('generateImage'),
+  };
+}
+
+// AI_PROVIDER を指定すると全用途をそのプロバイダにする（例: AI_PROVIDER=mock）
+const providerNameFor = (envName, fallback) =>
+  process.env[envName] || process.env.AI_PROVIDER || fallback;
+
+/**
+ * テキスト・JSON生成に使うプロバイダ（AI_TEXT_PROVIDER、既定は gemini）
+ * @returns {AiProvider}
+ */
+export function getTextProvider() {
+  return createAiProvider(providerNameFor('AI_TEXT_PROVIDER', 'gemini'));
+}
+
+/**
+ * 画像生成に使うプロバイダ（AI_IMAGE_PROVIDER、既定は openai）
+ * @returns {AiProvider}
+ */
+export function getImageProvider() {
+  return createAiProvider(providerNameFor('AI_IMAGE_PROVIDER', 'openai'));
+}
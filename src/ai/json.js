@@ -0,0 +1,23 @@
+/**
+ * モデル出力のテキストをJSONとして解釈する（Markdownのコードフェンスは取り除く）
+ * @param {string} text モデル出力
+ * @returns {any} パース結果
+ * @throws {Error} JSONとして解釈できない場合
+ */
+export function parseJsonText(text) {
+  const cleaned = String(text ?? '').trim().replace(/^```(?:json)?/i, '').replace(/```$/i, '').trim();
+  return JSON.parse(cleaned);
+}
+
+/**
+ * JSONパース失敗を表すエラーを作る（呼び出し側が details を返せるようにする）
+ * @param {string} provider プロバイダ名
+ * @param {string} text モデル出力
+ * @param {object} [details] 終了理由などの付加情報
+ */
+export function jsonParseError(provider, text, details = {}) {
+  const error = new Error(`${provider}: failed to parse JSON response: ${text}`);
+  error.code = 'AI_INVALID_JSON';
+  error.details = { ...details, text };
+  return error;
+}
@@ -0,0 +1,104 @@
+// オフライン用のモックプロバイダ
+// ネットワークもAPIキーも使わず、入力から決まった（妥当な形の）出力を返す
+
+// 1x1 の白いPNG（表紙画像の代わり）
+const MOCK_IMAGE_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC';
+
+const jstDateFmt = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Tokyo', year: 'numeric', month: '2-digit', day: '2-digit' });
+const jstTimeFmt = new Intl.DateTimeFormat('en-GB', { timeZone: 'Asia/Tokyo', hour: '2-digit', minute: '2-digit', hour12: false });
+
+// 行程: JSTの日付ごとにまとめ、30分単位に切り捨てる
+function mockItinerary(inputList) {
+  const days = new Map();
+  const list = Array.isArray(inputList) ? inputList : [];
+  for (const item of list) {
+    const d = new Date(item?.dateTime);
+    if (!item?.placeName || isNaN(d.getTime())) continue;
+    const date = jstDateFmt.format(d);
+    const [h, m] = jstTimeFmt.format(d).split(':').map(Number);
+    const startTime = `${String(h).padStart(2, '0')}:${m < 30 ? '00' : '30'}`;
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push({ startTime, place: item.placeName, ts: d.getTime() });
+  }
+  return {
+    days: Array.from(days.keys()).sort().map(date => ({
+      date,
+      details: days.get(date)
+        .sort((a, b) => a.ts - b.ts)
+        .map(({ startTime, place }) => ({ startTime, place }))
+    }))
+  };
+}
+
+// 感想文: 旅行データの要素を並べただけの定型文
+function mockImpression(detailJson) {
+  const trip = detailJson?.trip || {};
+  const places = (Array.isArray(detailJson?.images) ? detailJson.images : [])
+    .map(image => image?.placeName)
+    .filter(Boolean);
+  const members = (Array.isArray(trip.members) ? trip.members : [])
+    .map(member => member?.name)
+    .filter(Boolean);
+  return [
+    `${trip.purpose ? `「${trip.purpose}」を目的に、` : ''}みんなで旅行に行きました。`,
+    places.length ? `${places.join('、')}をめぐりました。` : 'いろいろな場所をめぐりました。',
+    members.length ? `${members.join('、')}といっしょで、とても楽しかったです。` : 'とても楽しかったです。',
+  ].join('\n');
+}
+
+// 班員ごとの作文: 名前とエピソードを入れた定型文
+function mockMemberEssay({ detail, member: name } = {}) {
+  const member = (Array.isArray(detail?.trip?.members) ? detail.trip.members : []).find(m => m?.name === name) || {};
+  return [
+    `${name}です。みんなで旅行に行きました。`,
+    member.episode ? `いちばんの思い出は「${member.episode}」です。` : 'どこも楽しかったです。',
+  ].join('\n');
+}
+
+const MOCK_RECEIPT = {
+  storeName: 'モック商店',
+  date: '2025-09-12',
+  time: '12:34',
+  items: [
+    { name: 'おにぎり', amount: 150, quantity: 1 },
+    { name: 'お茶', amount: 120, quantity: 1 }
+  ],
+  discounts: [{ name: 'クーポン', amount: 20 }],
+  taxes: [{ name: '消費税(8%)', amount: 18, included: true }],
+  paymentMethod: '現金',
+  total: 250
+};
+
+/**
+ * モックプロバイダ
+ * generate* には task（'itinerary' | 'placeNames' | 'impression' | 'memberEssay' | 'receipt' | 'cover'）と input を渡すと、それに合わせた出力を返す
+ */
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    requiredEnv: null,
+    isConfigured: () => true,
+
+    async generateText({ task, input, signal }) {
+      signal?.throwIfAborted();
+      if (task === 'impression') return mockImpression(input);
+      if (task === 'memberEssay') return mockMemberEssay(input);
+      return 'モック応答';
+    },
+
+    async generateJson({ task, input, signal }) {
+      signal?.throwIfAborted();
+      if (task === 'itinerary') return mockItinerary(input);
+      if (task === 'receipt') return structuredClone(MOCK_RECEIPT);
+      // 場所名の整形: 入力の名前をそのまま返す
+      if (task === 'placeNames') return { names: Object.fromEntries((input || []).map(name => [name, name])) };
+      return {};
+    },
+
+    async generateImage({ signal }) {
+      signal?.throwIfAborted();
+      return MOCK_IMAGE_BASE64;
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import OpenAI from 'openai';
+
+import { parseJsonText, jsonParseError } from './json.js';
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+/**
+ * OpenAI プロバイダ（テキスト・JSON・画像生成）
+ * @param {{apiKey?: string, model?: string}} [options]
+ */
+export function createOpenAiProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+} = {}) {
+  // クライアントはAPIキーが無いと生成時に例外になるため遅延生成
+  let client = null;
+  const getClient = () => {
+    if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
+    return client ?? (client = new OpenAI({ apiKey }));
+  };
+
+  const toInput = (prompt, images = []) => [
+    {
+      role: "user",
+      content: [
+        { type: "input_text", text: prompt },
+        ...images.map(image => ({
+          type: "input_image",
+          image_url: `data:${image.mimeType || 'image/jpeg'};base64,${Buffer.from(image.data).toString('base64')}`,
+        }))
+      ],
+    },
+  ];
+
+  return {
+    name: 'openai',
+    model,
+    requiredEnv: 'OPENAI_API_KEY',
+    isConfigured: () => Boolean(apiKey),
+
+    async generateText({ prompt, images, temperature = 0.7, maxOutputTokens = 10000, signal }) {
+      const response = await getClient().responses.create({
+        model,
+        input: toInput(prompt, images),
+        temperature,
+        max_output_tokens: maxOutputTokens,
+      }, { signal });
+      return (response.output_text || '').trim();
+    },
+
+    async generateJson({ prompt, images, temperature = 0, maxOutputTokens = 10000, signal }) {
+      const response = await getClient().responses.create({
+        model,
+        input: toInput(prompt, images),
+        temperature,
+        max_output_tokens: maxOutputTokens,
+        text: { format: { type: 'json_object' } },
+      }, { signal });
+      const text = response.output_text || '';
+      try {
+        return parseJsonText(text);
+      } catch {
+        throw jsonParseError('openai', text, { status: response.status });
+      }
+    },
+
+    async generateImage({ prompt, images, signal }) {
+      const response = await getClient().responses.create({
+        model,
+        input: toInput(prompt, images),
+        tools: [{ type: "image_generation" }],
+      }, { signal });
+
+      const imageData = response.output
+        .filter((output) => output.type === "image_generation_call")
+        .map((output) => output.result);
+
+      if (imageData.length > 0) {
+        return imageData[0];
+      }
+      throw new Error("Image generation failed");
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile, rename, rm, readdir, stat, utimes } from 'node:fs/promises';
+import path from 'node:path';
+
+import { logger } from './logger.js';
+
+// AI生成物（表紙・感想）のキャッシュ（ローカルディスク、入力のハッシュをキーにする）
+// 合計サイズが AI_CACHE_MAX_BYTES を超えたら、最後に使った時刻の古いものから消す
+
+const CACHE_DIR = path.resolve(process.env.AI_CACHE_DIR || 'storage/ai-cache');
+// 既定200MB。0 ならキャッシュしない
+const MAX_BYTES = process.env.AI_CACHE_MAX_BYTES !== undefined
+  ? Math.max(0, parseInt(process.env.AI_CACHE_MAX_BYTES) || 0)
+  : 200 * 1024 * 1024;
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+const entryPath = (key) => path.join(CACHE_DIR, key.slice(0, 2), key);
+
+// キー → {size, usedAt}。初回アクセス時にディレクトリから読み込む
+let indexPromise = null;
+function loadIndex() {
+  indexPromise ??= (async () => {
+    const index = new Map();
+    let dirs = [];
+    try {
+      dirs = await readdir(CACHE_DIR);
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error;
+    }
+    for (const dir of dirs) {
+      let names = [];
+      try {
+        names = await readdir(path.join(CACHE_DIR, dir));
+      } catch {
+        continue;
+      }
+      for (const name of names.filter(n => KEY_PATTERN.test(n))) {
+        const info = await stat(path.join(CACHE_DIR, dir, name)).catch(() => null);
+        if (info) index.set(name, { size: info.size, usedAt: info.mtimeMs });
+      }
+    }
+    return index;
+  })();
+  return indexPromise;
+}
+
+/**
+ * 画像などの入力データのハッシュ（キーに入れる用）
+ * @param {Buffer} data
+ */
+export function hashData(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * キャッシュのキーを作る
+ * @param {object} parts 生成物の種類・プロンプトのバージョン・プロバイダ・モデル・入力（大きなデータは hashData したもの）
+ * @returns {string} 16進のSHA-256
+ */
+export function aiCacheKey(parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * キャッシュから読む（無ければ null）。読んだものは最後に使った時刻を更新する
+ * @param {string} key aiCacheKey の戻り値
+ * @returns {Promise<Buffer|null>}
+ */
+export async function readAiCache(key) {
+  if (!MAX_BYTES || !KEY_PATTERN.test(key)) return null;
+  try {
+    const index = await loadIndex();
+    const entry = index.get(key);
+    if (!entry) return null;
+    const data = await readFile(entryPath(key));
+    entry.usedAt = Date.now();
+    const now = new Date();
+    await utimes(entryPath(key), now, now).catch(() => {});
+    return data;
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      (await loadIndex()).delete(key);
+      return null;
+    }
+    logger.warn('AI cache read failed', { key, error });
+    return null;
+  }
+}
+
+/**
+ * キャッシュに書く（失敗しても例外にしない）。書いた後、上限を超えていれば古いものから消す
+ * @param {string} key aiCacheKey の戻り値
+ * @param {Buffer|string} data
+ */
+export async function writeAiCache(key, data) {
+  if (!MAX_BYTES || !KEY_PATTERN.test(key)) return;
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  if (buffer.length > MAX_BYTES) return;
+  try {
+    const index = await loadIndex();
+    const file = entryPath(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+    await writeFile(tmp, buffer);
+    await rename(tmp, file);
+    index.set(key, { size: buffer.length, usedAt: Date.now() });
+    await evict(index);
+  } catch (error) {
+    logger.warn('AI cache write failed', { key, error });
+  }
+}
+
+async function evict(index) {
+  let total = 0;
+  for (const entry of index.values()) total += entry.size;
+  if (total <= MAX_BYTES) return;
+  const oldest = Array.from(index.entries()).sort((a, b) => a[1].usedAt - b[1].usedAt);
+  for (const [key, entry] of oldest) {
+    if (total <= MAX_BYTES) break;
+    index.delete(key);
+    total -= entry.size;
+    await rm(entryPath(key), { force: true });
+  }
+}
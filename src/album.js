@@ -0,0 +1,114 @@
+import { formatJstDate, formatJstTime, toValidDate } from './dateFormat.js';
+import { createTranslator } from './i18n.js';
+
+// 写真アルバムのページ割り付け
+// 1ページに並べる写真の枚数ごとにレイアウトを変える
+
+export const ALBUM_LAYOUTS = ['auto', 'grid', 'feature', 'stack', 'single'];
+
+const LAYOUT_SIZE = { grid: 4, feature: 3, stack: 2, single: 1 };
+const LAYOUT_BY_COUNT = { 4: 'grid', 3: 'feature', 2: 'stack', 1: 'single' };
+const UNKNOWN_DAY = '日付不明';
+
+const esc = (s) => String(s)
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+/**
+ * アップロードされた写真と detailJson.images の対応をとる
+ * clientId（ファイル名から拡張子を除いたもの）が一致すればそれを、なければアップロード順で対応させる
+ * （clientId で対応済みのエントリは順番による対応には使わない）
+ * @param {{clientId?: string, index: number}[]} photos
+ * @param {object[]} imagesMeta detailJson.images
+ * @returns {{photo: object, meta: object}[]}
+ */
+export function matchPhotosToMeta(photos, imagesMeta) {
+  const byClientId = new Map();
+  for (const meta of imagesMeta) {
+    if (meta && typeof meta.clientId === 'string') byClientId.set(meta.clientId, meta);
+  }
+  const matched = photos.map(photo => (photo.clientId && byClientId.get(photo.clientId)) || null);
+  const claimed = new Set(matched.filter(Boolean));
+  return photos.map((photo, i) => {
+    const byOrder = imagesMeta[photo.index];
+    return {
+      photo,
+      meta: matched[i] || (byOrder && !claimed.has(byOrder) ? byOrder : {}),
+    };
+  });
+}
+
+// 1日分の写真をページに分ける（auto: 4枚ずつ、ただし残り5枚は3+2にして1枚だけのページを作らない）
+function paginate(items, layout) {
+  const pages = [];
+  let rest = items;
+  while (rest.length) {
+    let size;
+    if (layout === 'auto') {
+      size = rest.length === 5 ? 3 : Math.min(4, rest.length);
+    } else {
+      size = Math.min(LAYOUT_SIZE[layout], rest.length);
+    }
+    const chunk = rest.slice(0, size);
+    pages.push({ layout: LAYOUT_BY_COUNT[chunk.length], items: chunk });
+    rest = rest.slice(size);
+  }
+  return pages;
+}
+
+/**
+ * 写真アルバムのセクション（A5 1ページ = 1セクション）を作る
+ * 行程と同じく JST の日付ごとにまとめ、撮影時刻 → アップロード順で並べる
+ * @param {{data: Buffer, mimeType: string, clientId?: string, index: number}[]} photos 縮小済みの写真
+ * @param {object[]} imagesMeta detailJson.images
+ * @param {{layout?: string, locale?: string}} [options] layout: ALBUM_LAYOUTS のいずれか（既定: auto）/ locale: 表示言語
+ * @returns {string} HTML文字列（写真が無ければ空文字）
+ */
+export function renderAlbumSections(photos, imagesMeta, { layout = 'auto', locale } = {}) {
+  if (!Array.isArray(photos) || photos.length === 0) return '';
+  const pageLayout = ALBUM_LAYOUTS.includes(layout) ? layout : 'auto';
+  const { t } = createTranslator(locale);
+
+  const days = new Map();
+  for (const { photo, meta } of matchPhotosToMeta(photos, Array.isArray(imagesMeta) ? imagesMeta : [])) {
+    const dt = typeof meta.dateTime === 'string' ? toValidDate(meta.dateTime) : null;
+    const key = dt ? formatJstDate(dt) : UNKNOWN_DAY;
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push({
+      photo,
+      placeName: typeof meta.placeName === 'string' ? meta.placeName.trim() : '',
+      time: dt ? formatJstTime(dt) : '',
+      ts: dt ? dt.getTime() : Infinity,
+    });
+  }
+
+  const keys = Array.from(days.keys()).sort((a, b) => {
+    if (a === UNKNOWN_DAY) return 1;
+    if (b === UNKNOWN_DAY) return -1;
+    return a.localeCompare(b);
+  });
+
+  let html = '';
+  let first = true;
+  for (const key of keys) {
+    const items = days.get(key).sort((x, y) => (x.ts - y.ts) || (x.photo.index - y.photo.index));
+    paginate(items, pageLayout).forEach((page, pageIndex) => {
+      html += `
+    <section class="section sheet album"${first ? ' id="section-album"' : ''}>
+      ${first ? `<h2>${t('album.title')}</h2>` : ''}
+      ${pageIndex === 0 ? `<h3 class="sticker">${esc(key === UNKNOWN_DAY ? t('common.unknownDate') : key)}</h3>` : ''}
+      <div class="album-grid album-grid--${page.layout}">
+        ${page.items.map(item => `
+        <figure>
+          <img src="data:${item.photo.mimeType};base64,${item.photo.data.toString('base64')}" alt="${esc(item.placeName)}" />
+          <figcaption><span class="place">${esc(item.placeName)}</span><span class="time">${esc(item.time)}</span></figcaption>
+        </figure>`).join('')}
+      </div>
+    </section>`;
+      first = false;
+    });
+  }
+  return html;
+}
@@ -0,0 +1,218 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import Ajv from 'ajv';
+
+import { formatJstIsoDate } from './dateFormat.js';
+
+// クライアントの API キーと、キーごと・種類ごとの回数の上限（1分あたり・1日あたり）
+// キーは API_KEYS_FILE の JSON（書き方は schemas/apiKeys.json）から起動時に読む。不正なファイルなら起動しない。
+// API_KEYS_FILE を指定しなければ認証しない（開発用）。
+// 使った回数はプロセス内で数える（再起動すると0に戻る）。1日は日本時間の0時で区切る
+
+// 回数を数える種類（AI・外部APIの費用が違うので分ける）
+// booklet: しおり生成（表紙の画像生成・テキスト生成）/ receipt: レシート読取 / landmark: 場所名の検索
+export const QUOTA_TYPES = ['booklet', 'receipt', 'landmark'];
+
+// 設定に書かなかったときの上限（null は制限しない）
+const DEFAULT_LIMITS = {
+  booklet: { perMinute: 2, perDay: 50 },
+  receipt: { perMinute: 10, perDay: 300 },
+  landmark: { perMinute: 60, perDay: 3000 },
+};
+
+const MINUTE_MS = 60 * 1000;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const apiKeysSchema = JSON.parse(readFileSync(new URL('./schemas/apiKeys.json', import.meta.url), 'utf8'));
+const validateApiKeys = new Ajv({ allErrors: true }).compile(apiKeysSchema);
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// 設定ファイルを読み、キーの SHA-256 → クライアントの Map にする
+function loadClients(file) {
+  const config = JSON.parse(readFileSync(file, 'utf8'));
+  if (!validateApiKeys(config)) {
+    const detail = validateApiKeys.errors.map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+    throw new Error(`Invalid API key file ${file}: ${detail}`);
+  }
+  const defaults = config.defaults?.limits ?? {};
+  const byHash = new Map();
+  const ids = new Set();
+  for (const entry of config.keys) {
+    if (ids.has(entry.id)) throw new Error(`Invalid API key file ${file}: duplicate id ${entry.id}`);
+    ids.add(entry.id);
+    const hash = entry.keySha256?.toLowerCase() ?? hashKey(entry.key);
+    if (byHash.has(hash)) throw new Error(`Invalid API key file ${file}: ${entry.id} has the same key as ${byHash.get(hash).id}`);
+    byHash.set(hash, {
+      id: entry.id,
+      label: entry.label ?? entry.id,
+      origins: entry.origins ?? [],
+      admin: entry.admin === true,
+      disabled: entry.disabled === true,
+      limits: Object.fromEntries(QUOTA_TYPES.map(type => [type, {
+        ...DEFAULT_LIMITS[type],
+        ...defaults[type],
+        ...entry.limits?.[type],
+      }])),
+    });
+  }
+  return byHash;
+}
+
+const clients = process.env.API_KEYS_FILE ? loadClients(process.env.API_KEYS_FILE) : null;
+
+// 認証を有効にしているか（API_KEYS_FILE があるか）
+export const API_KEYS_ENABLED = clients !== null;
+
+// クライアント id → 種類 → { minute, minuteCount, day, dayCount, total, rejected }
+const usage = new Map();
+
+function usageOf(client, type) {
+  if (!usage.has(client.id)) usage.set(client.id, {});
+  const byType = usage.get(client.id);
+  return byType[type] ?? (byType[type] = { minute: null, minuteCount: 0, day: null, dayCount: 0, total: 0, rejected: 0 });
+}
+
+// 今の1分・今日（日本時間）に合わせて数え直す
+function rollWindows(u, now) {
+  const minute = Math.floor(now / MINUTE_MS);
+  if (u.minute !== minute) {
+    u.minute = minute;
+    u.minuteCount = 0;
+  }
+  const day = formatJstIsoDate(new Date(now));
+  if (u.day !== day) {
+    u.day = day;
+    u.dayCount = 0;
+  }
+}
+
+// 次の日本時間0時までの秒数
+function secondsUntilJstMidnight(now) {
+  const nextMidnight = (Math.floor((now + JST_OFFSET_MS) / DAY_MS) + 1) * DAY_MS - JST_OFFSET_MS;
+  return Math.max(1, Math.ceil((nextMidnight - now) / 1000));
+}
+
+function quotaError(message, retryAfter, limit) {
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = retryAfter;
+  error.limit = limit;
+  return error;
+}
+
+/**
+ * リクエストの API キー（X-API-Key ヘッダ、または Authorization: Bearer）
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * API キーからクライアントを引く（無い・使えないキーなら null）
+ * @param {string|null} key
+ * @returns {object|null} { id, label, origins, admin, limits }
+ */
+export function authenticate(key) {
+  if (!clients || !key) return null;
+  const client = clients.get(hashKey(key));
+  return client && !client.disabled ? client : null;
+}
+
+/**
+ * クライアントがそのオリジン（ブラウザからの呼び出し）を使えるか
+ * @param {object} client
+ * @param {string} origin
+ */
+export function isOriginAllowed(client, origin) {
+  return client.origins.includes('*') || client.origins.includes(origin);
+}
+
+/**
+ * どれかのキーで使えるオリジンか（CORS のプリフライトはキーを送らないので、すべてのキーのオリジンで判断する）
+ * 認証しないときはすべて許す
+ * @param {string} origin
+ */
+export function isOriginAllowedForAnyKey(origin) {
+  if (!clients) return true;
+  for (const client of clients.values()) {
+    if (!client.disabled && isOriginAllowed(client, origin)) return true;
+  }
+  return false;
+}
+
+/**
+ * type の回数を1つ使う。1分あたり・1日あたりの上限を超えるなら数えずに status 429 の Error を投げる
+ * （retryAfter: 次に使えるまでの秒数 / limit: 'perMinute' | 'perDay'）
+ * 戻り値の関数を呼ぶと使った1回を戻す（入力の誤りで何もしなかったリクエストの分。1分・1日が変わっていればその枠は戻さない）
+ * @param {object} client
+ * @param {string} type QUOTA_TYPES のいずれか
+ * @param {number} [now]
+ * @returns {() => void}
+ */
+export function consumeQuota(client, type, now = Date.now()) {
+  const { perMinute, perDay } = client.limits[type];
+  const u = usageOf(client, type);
+  rollWindows(u, now);
+  if (perDay !== null && u.dayCount >= perDay) {
+    u.rejected++;
+    throw quotaError(`Too Many Requests: daily ${type} quota (${perDay}) exceeded`, secondsUntilJstMidnight(now), 'perDay');
+  }
+  if (perMinute !== null && u.minuteCount >= perMinute) {
+    u.rejected++;
+    const retryAfter = Math.max(1, Math.ceil(((u.minute + 1) * MINUTE_MS - now) / 1000));
+    throw quotaError(`Too Many Requests: ${type} rate limit (${perMinute}/min) exceeded`, retryAfter, 'perMinute');
+  }
+  u.minuteCount++;
+  u.dayCount++;
+  u.total++;
+  const { minute, day } = u;
+  let refunded = false;
+  return () => {
+    if (refunded) return;
+    refunded = true;
+    if (u.minute === minute) u.minuteCount--;
+    if (u.day === day) u.dayCount--;
+    u.total--;
+  };
+}
+
+/**
+ * キーごと・種類ごとの使用状況（管理用）
+ * @param {number} [now]
+ * @returns {{enabled: boolean, date: string, clients: object[]}}
+ */
+export function getUsage(now = Date.now()) {
+  const date = formatJstIsoDate(new Date(now));
+  return {
+    enabled: API_KEYS_ENABLED,
+    date,
+    clients: [...(clients?.values() ?? [])].map(client => ({
+      id: client.id,
+      label: client.label,
+      admin: client.admin,
+      disabled: client.disabled,
+      origins: client.origins,
+      usage: Object.fromEntries(QUOTA_TYPES.map(type => {
+        const u = usageOf(client, type);
+        rollWindows(u, now);
+        const { perMinute, perDay } = client.limits[type];
+        return [type, {
+          today: u.dayCount,
+          perDay,
+          remainingToday: perDay === null ? null : Math.max(0, perDay - u.dayCount),
+          thisMinute: u.minuteCount,
+          perMinute,
+          total: u.total,
+          rejected: u.rejected,
+        }];
+      })),
+    })),
+  };
+}
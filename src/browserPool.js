@@ -0,0 +1,217 @@
+import puppeteer from 'puppeteer';
+
+import { logger } from './logger.js';
+
+// PDF・ページの画像を作る Chromium のプール
+// ブラウザ1つで同時に1つだけ描画する。使う前に生きているか確かめ、落ちていたり応答しなければ起動し直す。
+// BROWSER_MAX_RENDERS 回描画したブラウザは閉じて新しく起動する（メモリのため）。
+// 空きが無いときは先着順に待たせ、待ちが BROWSER_QUEUE_MAX 件を超えたら status 429 の Error にする
+
+// 同時に描画する数（= 起動するブラウザの数）
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+const MAX_RENDERS = parseInt(process.env.BROWSER_MAX_RENDERS) || 50;
+const MAX_QUEUE = parseInt(process.env.BROWSER_QUEUE_MAX) || 20;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const CLOSE_TIMEOUT_MS = 5000;
+
+const LAUNCH_OPTIONS = {
+  args: ['--no-sandbox', '--disable-setuid-sandbox']
+};
+
+// browser: 起動中・起動済みのブラウザの Promise（無ければ null）/ renders: そのブラウザで描画した回数
+const slots = Array.from({ length: POOL_SIZE }, (_, id) => ({ id, browser: null, renders: 0, busy: false }));
+// 空きを待っている描画（先着順）
+const queue = [];
+let closing = false;
+// 1回の描画にかかった時間の移動平均（Retry-After の見積もり用）
+let averageRenderMs = null;
+
+const timeout = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value).unref());
+
+function poolError(status, message, retryAfter) {
+  const error = new Error(message);
+  error.status = status;
+  if (retryAfter !== undefined) error.retryAfter = retryAfter;
+  return error;
+}
+
+// 待ちの先頭が描画を始められるまでのおおよその秒数
+function estimateRetryAfter() {
+  const perRender = averageRenderMs ?? 10000;
+  return Math.max(1, Math.ceil(perRender * (Math.floor(queue.length / POOL_SIZE) + 1) / 1000));
+}
+
+// 閉じられないブラウザはプロセスを止める
+async function closeBrowser(browser) {
+  if (!browser) return;
+  try {
+    await Promise.race([browser.close(), timeout(CLOSE_TIMEOUT_MS)]);
+  } catch (error) {
+    logger.warn('Failed to close browser', { error });
+  }
+  const proc = browser.process();
+  if (proc && proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+}
+
+async function isHealthy(browser) {
+  if (!browser?.connected) return false;
+  try {
+    return await Promise.race([browser.version().then(() => true), timeout(HEALTH_CHECK_TIMEOUT_MS, false)]);
+  } catch {
+    return false;
+  }
+}
+
+// スロットのブラウザを返す（無い・応答しなければ起動し直す）
+async function ensureBrowser(slot) {
+  if (slot.browser) {
+    const browser = await slot.browser.catch(() => null);
+    if (await isHealthy(browser)) return browser;
+    logger.warn('Browser is not responding, relaunching', { browser: slot.id });
+    slot.browser = null;
+    await closeBrowser(browser);
+  }
+  const launching = puppeteer.launch(LAUNCH_OPTIONS);
+  slot.browser = launching;
+  slot.renders = 0;
+  let browser;
+  try {
+    browser = await launching;
+  } catch (error) {
+    if (slot.browser === launching) slot.browser = null;
+    throw error;
+  }
+  browser.once('disconnected', () => {
+    if (slot.browser === launching) {
+      logger.warn('Browser disconnected', { browser: slot.id });
+      slot.browser = null;
+    }
+  });
+  return browser;
+}
+
+// 空いたスロットを待ちの先頭に渡す
+function dispatch() {
+  while (queue.length) {
+    const slot = slots.find(s => !s.busy);
+    if (!slot) return;
+    slot.busy = true;
+    queue.shift().resolve(slot);
+  }
+}
+
+function acquire(signal) {
+  signal?.throwIfAborted();
+  if (closing) throw poolError(503, 'Service Unavailable: browser pool is shutting down');
+  const idle = queue.length ? undefined : slots.find(s => !s.busy);
+  if (idle) {
+    idle.busy = true;
+    return Promise.resolve(idle);
+  }
+  if (queue.length >= MAX_QUEUE) {
+    throw poolError(429, 'Too Many Requests: browser queue is full', estimateRetryAfter());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = queue.indexOf(waiter);
+      if (index >= 0) queue.splice(index, 1);
+      reject(signal.reason);
+    };
+    const waiter = {
+      resolve: (slot) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(slot);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.push(waiter);
+  });
+}
+
+// rendered: 描画を終えたか（起動に失敗した・中断した・失敗したものは描画の回数にも Retry-After の見積もりにも入れない）
+// measured: false なら描画の回数には数えるが、見積もり用の平均には入れない（readyz の確認用の描画など）
+function release(slot, durationMs, { rendered, measured }) {
+  if (rendered) {
+    if (measured) averageRenderMs = averageRenderMs === null ? durationMs : averageRenderMs * 0.8 + durationMs * 0.2;
+    slot.renders++;
+  }
+  if (slot.renders >= MAX_RENDERS && slot.browser) {
+    // 使い回しすぎたブラウザは閉じる（次に使うときに起動し直す）
+    const retired = slot.browser;
+    slot.browser = null;
+    retired.then(closeBrowser, () => {});
+  }
+  slot.busy = false;
+  dispatch();
+}
+
+/**
+ * プールのブラウザで描画処理を実行する（空きが無ければ先着順に待つ）
+ * 待ちがいっぱいなら status 429（retryAfter: 再試行までの秒数）、終了処理中なら status 503 の Error を投げる
+ * @template T
+ * @param {(browser: import('puppeteer').Browser) => Promise<T>} task
+ * @param {AbortSignal} [signal] 待っている間・起動中のキャンセル用
+ * @param {{measured?: boolean}} [options] measured: false なら所要時間を Retry-After の見積もりに使わない（確認用の描画など）
+ * @returns {Promise<T>}
+ */
+export async function runInBrowser(task, signal, { measured = true } = {}) {
+  const slot = await acquire(signal);
+  const startedAt = Date.now();
+  let rendered = false;
+  try {
+    const browser = await ensureBrowser(slot);
+    signal?.throwIfAborted();
+    const value = await task(browser);
+    rendered = true;
+    return value;
+  } finally {
+    release(slot, Date.now() - startedAt, { rendered, measured });
+  }
+}
+
+/**
+ * 描画の待ちがいっぱいか（リクエストを受け付ける前の確認用）
+ * @returns {{full: boolean, retryAfter: number}}
+ */
+export function checkBrowserQueue() {
+  return { full: closing || queue.length >= MAX_QUEUE, retryAfter: estimateRetryAfter() };
+}
+
+/**
+ * プールの状態
+ * @returns {{size: number, busy: number, queued: number, maxQueue: number, browsers: number, closing: boolean}}
+ */
+export function getBrowserPoolStats() {
+  return {
+    size: POOL_SIZE,
+    busy: slots.filter(s => s.busy).length,
+    queued: queue.length,
+    maxQueue: MAX_QUEUE,
+    browsers: slots.filter(s => s.browser).length,
+    closing,
+  };
+}
+
+/**
+ * プールを閉じる（待っている描画は 503 で打ち切り、描画中のものは graceMs まで待ってからブラウザを閉じる）
+ * @param {{graceMs?: number}} [options]
+ */
+export async function closeBrowserPool({ graceMs = 10000 } = {}) {
+  closing = true;
+  for (const waiter of queue.splice(0)) {
+    waiter.reject(poolError(503, 'Service Unavailable: browser pool is shutting down'));
+  }
+  const deadline = Date.now() + graceMs;
+  while (slots.some(s => s.busy) && Date.now() < deadline) {
+    await timeout(100);
+  }
+  await Promise.all(slots.map(async slot => {
+    const launching = slot.browser;
+    slot.browser = null;
+    if (launching) await closeBrowser(await launching.catch(() => null));
+  }));
+}
@@ -0,0 +1,117 @@
+import { toValidDate, formatJstIsoDate } from './dateFormat.js';
+import { DEFAULT_CURRENCY, roundMoney } from './currency.js';
+
+// おこづかい帳の集計（予算・残金・カテゴリ別／日別の小計）
+
+// 予算が指定されていないときは、使った金額をこの単位で切り上げた額を予算とみなす（円以外は10単位）
+export const DEFAULT_BUDGET_UNIT = 1000;
+export const defaultBudgetUnit = (currency) => (currency === 'JPY' ? DEFAULT_BUDGET_UNIT : 10);
+
+export const UNCATEGORIZED = 'その他';
+export const UNKNOWN_DAY = '日付不明';
+
+const toAmount = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * trip.budget を正規化する
+ * 数値だけなら総額として扱う
+ * @param {number|string|object} [raw] trip.budget
+ * @returns {{total: number|null, members: {name: string, amount: number}[], days: {date: string, amount: number}[]}}
+ */
+export function normalizeBudget(raw) {
+  if (raw == null) return { total: null, members: [], days: [] };
+  if (typeof raw !== 'object') return { total: toAmount(raw), members: [], days: [] };
+  const members = (Array.isArray(raw.members) ? raw.members : [])
+    .map(m => ({ name: m?.name, amount: toAmount(m?.amount) }))
+    .filter(m => m.name && m.amount !== null);
+  const days = (Array.isArray(raw.days) ? raw.days : [])
+    .map(d => {
+      const date = toValidDate(d?.date);
+      return { date: date ? formatJstIsoDate(date) : null, amount: toAmount(d?.amount) };
+    })
+    .filter(d => d.date && d.amount !== null);
+  return { total: toAmount(raw.total), members, days };
+}
+
+/**
+ * おこづかい帳を集計する
+ * 予算の総額は budget.total → 班員ごとの額の合計 → 日ごとの額の合計 の順に決め、
+ * どれも無ければ使った金額を defaultBudgetUnit 単位で切り上げた額にする（毎回同じ結果になる）
+ * 金額はすべて基準通貨に換算済みのものを渡す
+ * @param {{title: string, items: string, total: number, category?: string, date?: string}[]} entries 支出（入力順）
+ * @param {number|string|object} [rawBudget] trip.budget
+ * @param {object} [options]
+ * @param {string} [options.currency] 基準通貨（小数のある通貨では足し引きの誤差を丸める）
+ * @returns {object} 集計結果
+ */
+export function summarizeAllowance(entries, rawBudget, { currency = DEFAULT_CURRENCY } = {}) {
+  const budget = normalizeBudget(rawBudget);
+  const round = (n) => roundMoney(n, currency);
+  const spentTotal = round(entries.reduce((acc, e) => acc + e.total, 0));
+  const budgetUnit = defaultBudgetUnit(currency);
+
+  const sum = (arr) => arr.reduce((acc, x) => acc + x.amount, 0);
+  let budgetTotal = budget.total;
+  if (budgetTotal === null && budget.members.length) budgetTotal = sum(budget.members);
+  if (budgetTotal === null && budget.days.length) budgetTotal = sum(budget.days);
+  const isDefaultBudget = budgetTotal === null;
+  if (isDefaultBudget) {
+    budgetTotal = Math.ceil(spentTotal / budgetUnit) * budgetUnit;
+  }
+
+  // 残金は入力順に差し引く
+  let running = 0;
+  const rows = entries.map(entry => {
+    running = round(running + entry.total);
+    const remain = round(budgetTotal - running);
+    return { ...entry, remain, over: remain < 0 };
+  });
+
+  const groupTotals = (keyOf) => {
+    const totals = new Map();
+    for (const entry of entries) {
+      const key = keyOf(entry);
+      totals.set(key, round((totals.get(key) || 0) + entry.total));
+    }
+    return totals;
+  };
+
+  const byCategory = Array.from(groupTotals(e => e.category || UNCATEGORIZED))
+    .map(([category, total]) => ({ category, total }));
+
+  // 日別: 日ごとの予算があれば残金と超過も出す
+  const dayBudgets = new Map(budget.days.map(d => [d.date, d.amount]));
+  const spentByDay = groupTotals(e => e.date || UNKNOWN_DAY);
+  for (const date of dayBudgets.keys()) {
+    if (!spentByDay.has(date)) spentByDay.set(date, 0);
+  }
+  const byDay = Array.from(spentByDay.keys())
+    .sort((a, b) => (a === UNKNOWN_DAY) - (b === UNKNOWN_DAY) || a.localeCompare(b))
+    .map(date => {
+      const total = spentByDay.get(date);
+      const dayBudget = dayBudgets.has(date) ? dayBudgets.get(date) : null;
+      return {
+        date,
+        total,
+        budget: dayBudget,
+        remain: dayBudget === null ? null : round(dayBudget - total),
+        over: dayBudget !== null && total > dayBudget,
+      };
+    });
+
+  return {
+    budgetTotal,
+    isDefaultBudget,
+    budgetUnit,
+    spentTotal,
+    remain: round(budgetTotal - spentTotal),
+    over: spentTotal > budgetTotal,
+    rows,
+    byCategory,
+    byDay,
+    members: budget.members,
+  };
+}
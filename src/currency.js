@@ -0,0 +1,135 @@
+import { readFileSync } from 'node:fs';
+
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// 通貨の換算と表示（海外旅行の支出を旅行の基準通貨にそろえる）
+
+export const DEFAULT_CURRENCY = 'JPY';
+
+// 換算レート表（1単位あたりの base 通貨の額）
+const rateTable = JSON.parse(readFileSync(
+  process.env.EXCHANGE_RATES_FILE || new URL('./data/exchangeRates.json', import.meta.url),
+  'utf8'
+));
+
+const normalizeCode = (v) => (typeof v === 'string' && /^[A-Za-z]{3}$/.test(v.trim()) ? v.trim().toUpperCase() : null);
+
+/**
+ * 通貨の小数桁数（JPY: 0, USD: 2 など）
+ * @param {string} currency ISO 4217 の通貨コード
+ */
+export function currencyDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+/**
+ * 通貨の最小単位で丸める
+ * @param {number} amount
+ * @param {string} currency
+ */
+export function roundMoney(amount, currency) {
+  const scale = 10 ** currencyDecimals(currency);
+  return Math.round(amount * scale) / scale;
+}
+
+/**
+ * 金額を通貨と表示言語に合わせて文字列にする（日本語の円は「1,000円」、それ以外は「$12.50」「¥1,000」など）
+ * @param {number} amount
+ * @param {string} [currency]
+ * @param {string} [locale] 表示言語（i18n.js の LOCALES）
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+  if (currency === 'JPY' && locale === 'ja') {
+    return `${new Intl.NumberFormat('ja-JP', { maximumFractionDigits: 0 }).format(amount)}円`;
+  }
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+}
+
+/**
+ * 換算レートを表示用の文字列にする（「1 USD = 147円」の右辺。1円未満のレートも有効数字4桁で出す）
+ * @param {number} rate 1単位あたりの基準通貨の額
+ * @param {string} [home] 基準通貨
+ * @param {string} [locale] 表示言語
+ */
+export function formatRate(rate, home = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) {
+  const n = new Intl.NumberFormat(locale, { maximumSignificantDigits: 4 }).format(rate);
+  return home === 'JPY' && locale === 'ja' ? `${n}円` : `${n} ${home}`;
+}
+
+/**
+ * 通貨の名前（「日本円」「US Dollar」など）
+ * @param {string} currency
+ * @param {string} [locale] 表示言語
+ */
+export function formatCurrencyName(currency, locale = DEFAULT_LOCALE) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'currency' }).of(currency) || currency;
+  } catch {
+    return currency;
+  }
+}
+
+/**
+ * 旅行データから換算関数を作る
+ * 基準通貨は trip.currency（既定: JPY）。レートは trip.exchangeRates（1単位あたりの基準通貨の額）を優先し、
+ * 無ければレート表（円建て）から求める
+ * @param {object} [trip] detailJson.trip
+ * @returns {{
+ *   home: string,
+ *   currencyOf: (v: any) => string,
+ *   rateOf: (currency: string) => {rate: number, source: 'same'|'trip'|'table'}|null,
+ *   convert: (amount: number, currency?: string) => number|null,
+ * }}
+ */
+export function createCurrencyConverter(trip) {
+  const home = normalizeCode(trip?.currency) || DEFAULT_CURRENCY;
+  const tripRates = new Map(Object.entries(trip?.exchangeRates && typeof trip.exchangeRates === 'object' ? trip.exchangeRates : {})
+    .map(([code, rate]) => [normalizeCode(code), Number(rate)])
+    .filter(([code, rate]) => code && Number.isFinite(rate) && rate > 0));
+
+  // レート表の通貨 → 表の基準通貨（円）での額。基準通貨自身は 1
+  const tableRate = (code) => (code === rateTable.base ? 1 : Number(rateTable.rates?.[code]) || null);
+
+  const currencyOf = (v) => normalizeCode(v) || home;
+
+  const rateOf = (currency) => {
+    const code = currencyOf(currency);
+    if (code === home) return { rate: 1, source: 'same' };
+    if (tripRates.has(code)) return { rate: tripRates.get(code), source: 'trip' };
+    const from = tableRate(code);
+    const to = tableRate(home);
+    return from && to ? { rate: from / to, source: 'table' } : null;
+  };
+
+  const convert = (amount, currency) => {
+    const found = rateOf(currency);
+    return found ? roundMoney(amount * found.rate, home) : null;
+  };
+
+  return { home, currencyOf, rateOf, convert };
+}
+
+/**
+ * 換算できない通貨を使っている支出を探す（検証エラーと同じ形で返す）
+ * @param {object} [trip] detailJson.trip
+ * @returns {{path: string, message: string}[]}
+ */
+export function findUnconvertibleCurrencies(trip) {
+  const converter = createCurrencyConverter(trip);
+  const allowance = Array.isArray(trip?.allowance) ? trip.allowance : [];
+  return allowance.flatMap((entry, i) => {
+    const code = converter.currencyOf(entry?.currency);
+    return converter.rateOf(code)
+      ? []
+      : [{ path: `/trip/allowance/${i}/currency`, message: `no exchange rate for ${code} to ${converter.home} (set trip.exchangeRates.${code})` }];
+  });
+}
@@ -0,0 +1,118 @@
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// しおり表示用の日付整形（JST。日本語は和暦、それ以外の言語はその言語の書式）
+
+/**
+ * 日付として解釈できる値なら Date を返す
+ * @param {string|Date} v
+ * @returns {Date|null}
+ */
+export function toValidDate(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * 和暦（JST）の年月日・曜日を取り出す
+ * @param {Date} d
+ */
+export function getJpCalParts(d) {
+  const fmt = new Intl.DateTimeFormat('ja-JP-u-ca-japanese', {
+    timeZone: 'Asia/Tokyo',
+    era: 'long',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+  });
+  const parts = fmt.formatToParts(d).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
+  return {
+    era: parts.era, // 例: "令和"
+    year: parts.year, // 例: "6"
+    month: parts.month, // 例: "9"
+    day: parts.day, // 例: "12"
+    weekday: parts.weekday, // 例: "木"
+  };
+}
+
+// 日本語以外の言語の日付（JST、曜日付き）
+const localeDateFmt = (locale, options) =>
+  new Intl.DateTimeFormat(locale, { timeZone: 'Asia/Tokyo', month: 'short', day: 'numeric', weekday: 'short', ...options });
+
+/**
+ * 旅行期間を「令和6年9月12日(木)〜13日(金)」の形式にする（英語なら「Fri, Sep 12 – Sat, Sep 13, 2025」）
+ * @param {string|Date} startRaw
+ * @param {string|Date} endRaw
+ * @param {string} [locale] 表示言語（i18n.js の LOCALES）
+ * @returns {string} どちらも無効なら空文字
+ */
+export function formatRange(startRaw, endRaw, locale = DEFAULT_LOCALE) {
+  const sd = toValidDate(startRaw);
+  const ed = toValidDate(endRaw);
+  if (!sd && !ed) return '';
+
+  if (locale !== 'ja') {
+    const fmt = localeDateFmt(locale, { year: 'numeric' });
+    return sd && ed ? fmt.formatRange(sd, ed) : fmt.format(sd || ed);
+  }
+
+  if (sd && ed) {
+    const sp = getJpCalParts(sd);
+    const ep = getJpCalParts(ed);
+    const startStr = `${sp.era}${sp.year}年${sp.month}月${sp.day}日(${sp.weekday})`;
+    const endStr = sp.month === ep.month
+      ? `${ep.day}日(${ep.weekday})`
+      : `${ep.month}月${ep.day}日(${ep.weekday})`;
+    return `${startStr}〜${endStr}`;
+  }
+
+  const p = getJpCalParts(sd || ed);
+  return `${p.era}${p.year}年${p.month}月${p.day}日(${p.weekday})`;
+}
+
+const jstIsoDateFmt = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Tokyo', year: 'numeric', month: '2-digit', day: '2-digit' });
+const jstDateFmt = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', year: 'numeric', month: '2-digit', day: '2-digit' });
+const jstTimeFmt = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', hour: '2-digit', minute: '2-digit', hour12: false });
+
+/**
+ * JSTの日付（YYYY/MM/DD）
+ * @param {Date} d
+ * @returns {string}
+ */
+export function formatJstDate(d) {
+  const parts = jstDateFmt.formatToParts(d).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
+  return `${parts.year}/${parts.month}/${parts.day}`;
+}
+
+/**
+ * JSTの時刻（HH:mm）
+ * @param {Date} d
+ * @returns {string}
+ */
+export function formatJstTime(d) {
+  return jstTimeFmt.format(d);
+}
+
+/**
+ * JSTの日付（YYYY-MM-DD）
+ * @param {Date} d
+ * @returns {string}
+ */
+export function formatJstIsoDate(d) {
+  return jstIsoDateFmt.format(d);
+}
+
+/**
+ * 「9月12日(木)」形式の短い日付。日付として解釈できなければそのまま返す
+ * @param {string} v YYYY-MM-DD など
+ * @param {string} [locale] 表示言語（i18n.js の LOCALES）
+ * @returns {string}
+ */
+export function formatShortDate(v, locale = DEFAULT_LOCALE) {
+  const d = toValidDate(v);
+  if (!d) return String(v ?? '');
+  if (locale !== 'ja') return localeDateFmt(locale).format(d);
+  const p = getJpCalParts(d);
+  return `${p.month}月${p.day}日(${p.weekday})`;
+}
@@ -0,0 +1,58 @@
+import { readFileSync } from 'node:fs';
+import Ajv from 'ajv';
+
+// detailJson スキーマ（バージョン → スキーマ）
+const schemas = {
+  1: JSON.parse(readFileSync(new URL('./schemas/detailJson.v1.json', import.meta.url), 'utf8')),
+};
+
+export const DETAIL_SCHEMA_VERSIONS = Object.keys(schemas).map(Number);
+export const LATEST_DETAIL_SCHEMA_VERSION = Math.max(...DETAIL_SCHEMA_VERSIONS);
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = Object.fromEntries(
+  Object.entries(schemas).map(([version, schema]) => [version, ajv.compile(schema)])
+);
+
+/**
+ * 指定バージョンのスキーマを返す（省略時は最新版）
+ * @param {number} [version]
+ * @returns {object|undefined}
+ */
+export function getDetailSchema(version = LATEST_DETAIL_SCHEMA_VERSION) {
+  return schemas[version];
+}
+
+/**
+ * detailJson をスキーマで検証する
+ * schemaVersion が指定されていればそのバージョン、なければ最新版で検証する
+ * @param {any} detail
+ * @returns {{valid: boolean, version: number, errors: {path: string, message: string}[]}}
+ */
+export function validateDetailJson(detail) {
+  const requested = detail && typeof detail === 'object' ? detail.schemaVersion : undefined;
+  const version = requested ?? LATEST_DETAIL_SCHEMA_VERSION;
+  const validate = validators[version];
+  if (!validate) {
+    return {
+      valid: false,
+      version,
+      errors: [{
+        path: '/schemaVersion',
+        message: `unsupported schema version (supported: ${DETAIL_SCHEMA_VERSIONS.join(', ')})`
+      }]
+    };
+  }
+
+  if (validate(detail)) {
+    return { valid: true, version, errors: [] };
+  }
+  const errors = validate.errors.map(e => ({
+    // required エラーは欠けているフィールド自体のパスを指す
+    path: e.keyword === 'required'
+      ? `${e.instancePath}/${e.params.missingProperty}`
+      : e.instancePath || '/',
+    message: e.message,
+  }));
+  return { valid: false, version, errors };
+}
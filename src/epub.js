@@ -0,0 +1,162 @@
+import { randomUUID } from 'node:crypto';
+
+import { createZip } from './zip.js';
+
+// しおりの EPUB（リフロー型）
+// generateHtmlFromJson の HTML をセクションごとの XHTML に分け、埋め込みの画像をファイルにして EPUB 3 にまとめる
+// 印刷用の目次ページは使わず、EPUB の目次（nav）を作る。アルバムの続きのページは1つの章にまとめる
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif', 'image/svg+xml': 'svg' };
+
+// 読書アプリ向けの簡素なスタイル（用紙サイズ・ページ区切りの指定は持ち込まない）
+const EPUB_CSS = `body{ margin:0 4%; line-height:1.7; }
+h2{ font-size:1.3em; margin:1em 0 .6em; border-bottom:2px solid #999; padding-bottom:.2em; }
+h3{ font-size:1.05em; margin:1em 0 .4em; }
+table{ width:100%; border-collapse:collapse; margin:.5em 0; }
+th, td{ border:1px solid #999; padding:.3em; text-align:left; vertical-align:top; font-size:.9em; }
+th{ background:#eee; }
+.money{ text-align:right; }
+.converted, .hint{ font-size:.8em; color:#666; }
+.warn{ font-weight:bold; color:#c62828; }
+ul{ padding-left:1.2em; }
+.itinerary ul, .transfers, ul.goals{ list-style:none; padding-left:0; }
+ul.goals li{ font-size:1.4em; font-weight:bold; text-align:center; margin:.5em 0; }
+.total-box{ border:2px solid #999; padding:.3em .6em; margin:.5em 0; }
+.total-box .label{ font-weight:bold; }
+.album-grid figure{ margin:0 0 1em; }
+.album-grid img{ display:block; max-width:100%; margin:0 auto; }
+.album-grid figcaption{ font-size:.85em; text-align:center; }
+.album-grid figcaption .time{ margin-left:.5em; color:#666; }
+.cover{ margin:0; padding:0; text-align:center; }
+.cover img, .cover svg{ max-width:100%; max-height:100vh; }
+`;
+
+const escapeXml = (s) => String(s)
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+const stripTags = (s) => s.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+// HTML の断片を XHTML として読める形にする（空要素を閉じ、実体参照でない & をエスケープする）
+function toXhtml(fragment) {
+  return fragment
+    .replace(/<(br|hr|img|image|meta|link|input)\b([^>]*?)\s*\/?>/g, '<$1$2 />')
+    .replace(/&nbsp;/g, '&#160;')
+    .replace(/&(?!#?\w+;)/g, '&amp;');
+}
+
+function chapterXhtml({ title, lang, body, bodyClass }) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * しおりの HTML から EPUB を作る
+ * @param {string} html generateHtmlFromJson の戻り値
+ * @param {object} [options]
+ * @param {Date} [options.modified] 更新日時（既定: 現在）
+ * @returns {Buffer} EPUB ファイル
+ */
+export function htmlToEpub(html, { modified = new Date() } = {}) {
+  const lang = html.match(/<html lang="([^"]+)"/)?.[1] || 'ja';
+  const bookTitle = stripTags(html.match(/<title>([\s\S]*?)<\/title>/)?.[1] || '');
+
+  // 埋め込みの画像（data URL）をファイルに出す
+  const images = [];
+  const extractImages = (fragment) => fragment.replace(
+    /\b(src|href)="data:([\w/+.-]+);base64,([^"]+)"/g,
+    (_, attr, mimeType, base64) => {
+      const file = `images/image-${images.length + 1}.${IMAGE_EXTENSIONS[mimeType] || 'bin'}`;
+      images.push({ file, mimeType, data: Buffer.from(base64, 'base64') });
+      return `${attr}="${file}"`;
+    });
+
+  // 表紙（AI の表紙画像、または描いた SVG）
+  const chapters = [];
+  const coverHtml = html.match(/<div class="page">([\s\S]*?)<\/div>\s*<section/)?.[1]?.trim();
+  let coverImage = null;
+  if (coverHtml) {
+    const body = extractImages(toXhtml(coverHtml));
+    if (body.startsWith('<img')) coverImage = images[images.length - 1];
+    chapters.push({ file: 'cover.xhtml', title: bookTitle, body: `<div class="cover">${body}</div>`, bodyClass: 'cover', svg: body.includes('<svg') });
+  }
+
+  // セクション（id のあるセクションが章の始まり。id の無いものは直前の章の続き）
+  for (const m of html.matchAll(/<section class="section sheet([^"]*)"([^>]*)>([\s\S]*?)<\/section>/g)) {
+    const [, classes, attrs, inner] = m;
+    if (classes.split(/\s+/).includes('toc')) continue;
+    const body = extractImages(toXhtml(`<section class="section${classes}"${attrs}>${inner}</section>`));
+    const id = attrs.match(/id="([^"]+)"/)?.[1];
+    const last = chapters[chapters.length - 1];
+    if (!id && last && last.file !== 'cover.xhtml') {
+      last.body += `\n${body}`;
+      continue;
+    }
+    const title = stripTags(inner.match(/<h2>([\s\S]*?)<\/h2>/)?.[1] || '') || bookTitle;
+    chapters.push({ file: `chapter-${chapters.filter(c => c.file !== 'cover.xhtml').length + 1}.xhtml`, title, body });
+  }
+
+  const nav = chapterXhtml({
+    title: bookTitle,
+    lang,
+    body: `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(bookTitle)}</h1>
+  <ol>
+${chapters.filter(c => c.file !== 'cover.xhtml').map(c => `    <li><a href="${c.file}">${escapeXml(c.title)}</a></li>`).join('\n')}
+  </ol>
+</nav>`,
+  });
+
+  const itemId = (file) => file.replace(/[^\w]/g, '-');
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${randomUUID()}</dc:identifier>
+    <dc:title>${escapeXml(bookTitle)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="style" href="style.css" media-type="text/css" />
+${chapters.map(c => `    <item id="${itemId(c.file)}" href="${c.file}" media-type="application/xhtml+xml"${c.svg ? ' properties="svg"' : ''} />`).join('\n')}
+${images.map(image => `    <item id="${itemId(image.file)}" href="${image.file}" media-type="${image.mimeType}"${image === coverImage ? ' properties="cover-image"' : ''} />`).join('\n')}
+  </manifest>
+  <spine>
+${chapters.map(c => `    <itemref idref="${itemId(c.file)}" />`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  // mimetype は先頭に無圧縮で置く（EPUB の決まり）
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: EPUB_CSS },
+    ...chapters.map(c => ({ name: `OEBPS/${c.file}`, data: chapterXhtml({ ...c, lang }) })),
+    ...images.map(image => ({ name: `OEBPS/${image.file}`, data: image.data })),
+  ], modified);
+}
@@ -0,0 +1,138 @@
+import exifr from 'exifr';
+import sharp from 'sharp';
+
+import { matchPhotosToMeta } from './album.js';
+import { toValidDate, formatJstIsoDate } from './dateFormat.js';
+import { getPlaceResolver } from './places.js';
+import { logger } from './logger.js';
+import { measureStage } from './metrics.js';
+
+// EXIF に撮影時刻のオフセットが無い場合に使うUTCオフセット
+const DEFAULT_UTC_OFFSET = process.env.EXIF_DEFAULT_UTC_OFFSET || '+09:00';
+
+const EXIF_FIELDS = [
+  'DateTimeOriginal', 'OffsetTimeOriginal', 'Orientation',
+  'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef'
+];
+
+// "2025:09:12 10:15:30" + "+09:00" → "2025-09-12T10:15:30+09:00"
+function toIsoDateTime(raw, offset) {
+  const m = typeof raw === 'string' && raw.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!m) return null;
+  const tz = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : DEFAULT_UTC_OFFSET;
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${tz}`;
+  return toValidDate(iso) ? iso : null;
+}
+
+// JPEG・HEIC は exifr で直接、WebP は sharp で EXIF ブロックを取り出してから読む
+async function readExif(buffer) {
+  const options = { pick: EXIF_FIELDS, gps: true, reviveValues: false, translateValues: false };
+  try {
+    return await exifr.parse(buffer, options);
+  } catch (error) {
+    const { exif } = await sharp(buffer).metadata().catch(() => ({}));
+    // "Exif\0\0" ヘッダの後ろが TIFF 形式の本体
+    if (!exif || exif.length <= 6) throw error;
+    return exifr.parse(exif.subarray(6), options);
+  }
+}
+
+/**
+ * 写真の EXIF から撮影日時（オフセット付き ISO 8601）・GPS座標・向きを取り出す
+ * @param {Buffer} buffer
+ * @returns {Promise<{dateTime: string|null, latitude: number|null, longitude: number|null, orientation: number|null}>}
+ */
+export async function extractPhotoMetadata(buffer) {
+  const exif = await readExif(buffer).catch(() => null) || {};
+  const isCoord = (v) => typeof v === 'number' && Number.isFinite(v);
+  return {
+    dateTime: toIsoDateTime(exif.DateTimeOriginal, exif.OffsetTimeOriginal),
+    latitude: isCoord(exif.latitude) ? exif.latitude : null,
+    longitude: isCoord(exif.longitude) ? exif.longitude : null,
+    orientation: typeof exif.Orientation === 'number' ? exif.Orientation : null,
+  };
+}
+
+/**
+ * 座標から場所名を引く。同じ地点（小数4桁）への問い合わせはまとめる。失敗した地点は null
+ * @param {{latitude: number, longitude: number}[]} points
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Map<string, string|null>>} 丸めた座標キー → 場所名
+ */
+export async function resolvePlaceNames(points, signal) {
+  const resolve = getPlaceResolver();
+  const names = new Map();
+  for (const { latitude, longitude } of points) {
+    const key = placeKey(latitude, longitude);
+    if (names.has(key)) continue;
+    signal?.throwIfAborted();
+    try {
+      names.set(key, await measureStage('landmark', () => resolve(latitude, longitude, { signal })));
+    } catch (error) {
+      signal?.throwIfAborted();
+      logger.warn('Place lookup failed', { key, error });
+      names.set(key, null);
+    }
+  }
+  return names;
+}
+
+export const placeKey = (latitude, longitude) => `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+
+/**
+ * アップロードされた写真の EXIF で detailJson の不足分を補う（元のオブジェクトは変更しない）
+ * - images[].dateTime / latitude / longitude が無ければ EXIF の値を入れる
+ * - 対応する images[] が無い写真はエントリを追加する（写真だけでもしおりを作れるように）
+ * - placeName が無く座標があるエントリは場所名を引いて入れる
+ * - trip.startDate / endDate が無ければ撮影日（JST）の範囲を入れる
+ * @param {object} detail detailJson
+ * @param {{data: Buffer, clientId?: string, index: number}[]} photos アップロードされた写真（clientId は対応づけたものに更新する）
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<object>} 補完後の detailJson
+ */
+export async function enrichDetailFromPhotos(detail, photos, { signal } = {}) {
+  const enriched = structuredClone(detail);
+  const images = Array.isArray(enriched.images) ? enriched.images : (enriched.images = []);
+
+  const usedIds = new Set(images.map(meta => meta?.clientId).filter(Boolean));
+  for (const { photo, meta } of matchPhotosToMeta(photos, images)) {
+    signal?.throwIfAborted();
+    let target = meta;
+    if (!images.includes(meta)) {
+      // 対応するエントリが無い写真: clientId が重複しないようにして追加する
+      let clientId = photo.clientId || `photo-${photo.index}`;
+      if (usedIds.has(clientId)) clientId = `${clientId}-${photo.index}`;
+      usedIds.add(clientId);
+      target = { clientId };
+      images.push(target);
+    }
+    if (target.clientId) photo.clientId = target.clientId;
+
+    const exif = await extractPhotoMetadata(photo.data);
+    if (!target.dateTime && exif.dateTime) target.dateTime = exif.dateTime;
+    if (target.latitude == null && exif.latitude != null) target.latitude = exif.latitude;
+    if (target.longitude == null && exif.longitude != null) target.longitude = exif.longitude;
+  }
+
+  const needPlace = images.filter(meta =>
+    !meta.placeName && typeof meta.latitude === 'number' && typeof meta.longitude === 'number');
+  if (needPlace.length) {
+    const names = await resolvePlaceNames(needPlace, signal);
+    for (const meta of needPlace) {
+      const name = names.get(placeKey(meta.latitude, meta.longitude));
+      if (name) meta.placeName = name;
+    }
+  }
+
+  const days = images
+    .map(meta => toValidDate(meta.dateTime))
+    .filter(Boolean)
+    .map(formatJstIsoDate)
+    .sort();
+  if (days.length) {
+    const trip = enriched.trip || (enriched.trip = {});
+    if (!trip.startDate) trip.startDate = days[0];
+    if (!trip.endDate) trip.endDate = days[days.length - 1];
+  }
+  return enriched;
+}
@@ -1,12 +1,36 @@
+import { formatRange, formatJstDate, formatJstTime, formatJstIsoDate, formatShortDate, toValidDate } from './dateFormat.js';
+import { summarizeAllowance, UNCATEGORIZED, UNKNOWN_DAY } from './budget.js';
+import { createCurrencyConverter, formatMoney, formatRate, formatCurrencyName } from './currency.js';
+import { createTranslator } from './i18n.js';
+import { UNKNOWN_DATE, UNKNOWN_PLACE } from './itinerary.js';
+import { computeSettlement, hasSettlementEntries } from './settlement.js';
+import { renderLocalCover } from './localCover.js';
+import { renderAlbumSections } from './album.js';
+import { getTheme, renderThemeCss } from './themes.js';
+import { pageSizeOf } from './paper.js';
+
 /**
  * inputJsonの内容をtemplateHtmlに埋め込んだHTMLを返す
  * @param {object} json 入力データ
  * @param {string} [base64Image] Base64エンコードされた画像データ
  * @param {object} [intinerary] 行程データ（generateIntinerary関数の戻り値）
- * @param {string} [impression] 旅行の感想（小6・しおり風）
+ * @param {string|{name: string, text: string}[]} [impression] 旅行の感想（小6・しおり風）、または班員ごとの作文
+ * @param {object} [options] 表示オプション
+ * @param {string} [options.coverTemplate] 表紙画像が無いときに描く表紙のテンプレート（localCover.js）
+ * @param {{data: Buffer, mimeType?: string}} [options.coverPhoto] 描いた表紙のフレームに入れる写真
+ * @param {object[]} [options.photos] アルバムに載せる写真（縮小済み、album.js）
+ * @param {string} [options.albumLayout] アルバムのレイアウト（album.js の ALBUM_LAYOUTS）
+ * @param {{width: number, height: number}} [options.pageSize] 1ページの大きさ（mm、paper.js の pageSizeOf。既定: A5縦）
+ * @param {string} [options.theme] テーマ（themes.js の THEMES。色・フォント・見出しの飾り・背景が変わる）
+ * @param {string} [options.locale] 表示言語（i18n.js の LOCALES。見出し・固定の文言・日付・金額の書式が変わる）
  * @returns {string} HTML文字列
  */
-export function generateHtmlFromJson(json, base64Image, intinerary, impression) {
+export function generateHtmlFromJson(json, base64Image, intinerary, impression, options = {}) {
+  const { locale, t, list: formatList } = createTranslator(options.locale);
+  const page = options.pageSize || pageSizeOf();
+  // 横向きのページでは縦長の表紙を切り取らず、全体が収まるように置く
+  const landscape = page.width > page.height;
+
   // tripオブジェクト内にデータがある場合は取り出す
   const trip = json && typeof json === 'object' && json.trip ? json.trip : json;
 
@@ -17,51 +41,7 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
   const rawStartDate = get(trip, 'startDate');
   const rawEndDate = get(trip, 'endDate');
 
-  function toValidDate(v) {
-    if (!v) return null;
-    const d = v instanceof Date ? v : new Date(v);
-    return isNaN(d.getTime()) ? null : d;
-  }
-
-  function getJpCalParts(d) {
-    const fmt = new Intl.DateTimeFormat('ja-JP-u-ca-japanese', {
-      timeZone: 'Asia/Tokyo',
-      era: 'long',
-      year: 'numeric',
-      month: 'numeric',
-      day: 'numeric',
-      weekday: 'short',
-    });
-    const parts = fmt.formatToParts(d).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
-    return {
-      era: parts.era, // 例: "令和"
-      year: parts.year, // 例: "6"
-      month: parts.month, // 例: "9"
-      day: parts.day, // 例: "12"
-      weekday: parts.weekday, // 例: "木"
-    };
-  }
-
-  function formatRange(startRaw, endRaw) {
-    const sd = toValidDate(startRaw);
-    const ed = toValidDate(endRaw);
-    if (!sd && !ed) return '';
-
-    if (sd && ed) {
-      const sp = getJpCalParts(sd);
-      const ep = getJpCalParts(ed);
-      const startStr = `${sp.era}${sp.year}年${sp.month}月${sp.day}日(${sp.weekday})`;
-      const endStr = sp.month === ep.month
-        ? `${ep.day}日(${ep.weekday})`
-        : `${ep.month}月${ep.day}日(${ep.weekday})`;
-      return `${startStr}〜${endStr}`;
-    }
-
-    const p = getJpCalParts(sd || ed);
-    return `${p.era}${p.year}年${p.month}月${p.day}日(${p.weekday})`;
-  }
-
-  const scheduleText = formatRange(rawStartDate, rawEndDate);
+  const scheduleText = formatRange(rawStartDate, rawEndDate, locale);
   const hotelsArr = get(trip, 'hotels');
   const hotels = Array.isArray(hotelsArr) ? hotelsArr.join(' / ') : undefined;
 
@@ -72,14 +52,8 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
   const membersArr = get(trip, 'members');
   let membersRows = '';
   if (Array.isArray(membersArr)) {
-    const roleMap = {
-      leader: '班長',
-      camera: 'カメラ係',
-      accountant: 'お財布係',
-      navigator: '案内係',
-      driver: '運転係',
-      reservation: '予約係'
-    };
+    const roleKeys = ['leader', 'camera', 'accountant', 'navigator', 'driver', 'reservation'];
+    const roleLabel = (key) => t(`roles.${roleKeys.includes(key) ? key : 'member'}`);
 
     const processed = membersArr.map(m => {
       const name = get(m, 'name');
@@ -95,59 +69,120 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     });
 
     membersRows = processed.map((p, idx) => {
-      let roleJp = '班員';
+      let role = roleLabel('member');
       if (anyProvidedRole) {
         const key = String(p.rawRole || '').trim();
-        if (key) roleJp = roleMap[key] || '班員';
+        if (key) role = roleLabel(key);
       } else {
-        roleJp = idx === 0 ? '班長' : '班員';
+        role = roleLabel(idx === 0 ? 'leader' : 'member');
       }
-      return `<tr><td>${p.name}</td><td>${roleJp}</td><td>${p.episode || ''}</td></tr>`;
+      return `<tr><td>${p.name}</td><td>${role}</td><td>${p.episode || ''}</td></tr>`;
     }).join('');
   }
 
-  // 予算（おこづかい帳）
+  // 予算（おこづかい帳）。外貨の支出は基準通貨に換算して集計する
+  const converter = createCurrencyConverter(trip);
   const allowanceArr = get(trip, 'allowance');
-  const entries = allowanceArr.map(allowance => {
+  const entries = (Array.isArray(allowanceArr) ? allowanceArr : []).map(allowance => {
     const title = get(allowance, 'title');
-    const total = Number(get(allowance, 'total')) || 0;
+    const originalTotal = Number(get(allowance, 'total')) || 0;
+    const currency = converter.currencyOf(get(allowance, 'currency'));
+    const total = converter.convert(originalTotal, currency);
     const details = get(allowance, 'details');
 
-    const items = details.map(detail => {
+    const items = (Array.isArray(details) ? details : []).map(detail => {
       const name = get(detail, 'name');
       return name ? name.trim() : '';
     }).filter(Boolean).join(', ');
 
-    if (!title || !isFinite(total)) return null;
-    return { title, items, total };
+    if (!title || total === null || !isFinite(total)) return null;
+    // 日別の集計用に JST の YYYY-MM-DD にそろえる
+    const date = toValidDate(get(allowance, 'date'));
+    return { title, items, total, originalTotal, currency, category: get(allowance, 'category'), date: date ? formatJstIsoDate(date) : undefined };
   }).filter(Boolean);
 
-  // 消費合計
-  const spentTotal = entries.reduce((acc, e) => acc + (Number(e.total) || 0), 0);
-
-  // 上限：消費金額に対して±10%のランダム値
-  const delta = (Math.random() * 0.2) - 0.1; // [-0.1, +0.1)
-  const allowanceUpper = Math.max(0, Math.round(spentTotal * (1 + delta)));
-
-  // 残金列を出すためにランニングで差し引き
-  let running = 0;
-  const budgetRows = entries.map(entry => {
-    running += Number(entry.total) || 0;
-    const remain = allowanceUpper - running;
-    return `<tr><td>${entry.title}</td><td>${entry.items}</td><td class=\"money\">${entry.total}円</td><td class=\"money\">${remain}円</td></tr>`;
-  }).join('');
+  const allowanceSummary = summarizeAllowance(entries, get(trip, 'budget'), { currency: converter.home });
+  const money = (n) => formatMoney(n, converter.home, locale);
+  // 外貨の支出は元の金額と換算後の金額を並べる
+  const amountText = (row) => (row.currency === converter.home
+    ? money(row.total)
+    : `${formatMoney(row.originalTotal, row.currency, locale)}<br><span class="converted">≈ ${money(row.total)}</span>`);
+  const foreignCurrencies = Array.from(new Set(entries.map(e => e.currency).filter(c => c !== converter.home)));
+  const rateNotes = foreignCurrencies.map(c => {
+    const { rate, source } = converter.rateOf(c);
+    return `1 ${c} = ${formatRate(rate, converter.home, locale)}${source === 'table' ? t('allowance.rateEstimate') : ''}`;
+  });
+  // 残金。超えた分は「予算オーバー」として正の金額で示す
+  const remainText = (n) => (n < 0 ? t('allowance.overAmount', { amount: money(-n) }) : money(n));
+  const remainCell = (n, over) => `<td class="money${over ? ' warn' : ''}">${remainText(n)}</td>`;
+
+  const budgetRows = allowanceSummary.rows.map(row =>
+    `<tr${row.over ? ' class="over"' : ''}><td>${row.title}</td><td>${row.items}</td><td class="money">${amountText(row)}</td>${remainCell(row.remain, row.over)}</tr>`
+  ).join('');
+
+  // 班員ごとの予算
+  const memberBudgetRows = allowanceSummary.members.map(m =>
+    `<tr><td>${m.name}</td><td class="money">${money(m.amount)}</td></tr>`
+  ).join('');
+
+  // カテゴリ別の小計（カテゴリが指定されているときだけ）
+  const categoryRows = entries.some(e => e.category)
+    ? allowanceSummary.byCategory.map(c => `<tr><td>${c.category === UNCATEGORIZED ? t('allowance.uncategorized') : c.category}</td><td class="money">${money(c.total)}</td></tr>`).join('')
+    : '';
+
+  // 日別の小計（日付か日ごとの予算が指定されているときだけ）
+  const hasDayBudget = allowanceSummary.byDay.some(d => d.budget !== null);
+  const dayRows = entries.some(e => e.date) || hasDayBudget
+    ? allowanceSummary.byDay.map(d => `<tr${d.over ? ' class="over"' : ''}><td>${d.date === UNKNOWN_DAY ? t('common.unknownDate') : formatShortDate(d.date, locale)}</td><td class="money">${money(d.total)}</td>${hasDayBudget
+      ? `<td class="money">${d.budget === null ? '—' : money(d.budget)}</td>${d.remain === null ? '<td class="money">—</td>' : remainCell(d.remain, d.over)}`
+      : ''}</tr>`).join('')
+    : '';
+
+  // 割り勘（paidBy・sharedBy を書いた支出があり、支払った人が分かる支出があるときだけ）
+  const settlement = computeSettlement(trip);
+  let settlementSection = '';
+  if (hasSettlementEntries(trip) && settlement.entries.length) {
+    const balanceText = (n) => (n > 0
+      ? t('settlement.receive', { amount: money(n) })
+      : n < 0 ? t('settlement.give', { amount: money(-n) }) : `±${money(0)}`);
+    const settlementRows = settlement.members.map(m =>
+      `<tr><td>${m.name}</td><td class="money">${money(m.paid)}</td><td class="money">${money(m.share)}</td><td class="money${m.balance < 0 ? ' warn' : ''}">${balanceText(m.balance)}</td></tr>`
+    ).join('');
+    const transferItems = settlement.transfers.map(transfer =>
+      `<li><span class="from">${transfer.from}</span> → <span class="to">${transfer.to}</span><span class="dot">……</span><span class="money">${money(transfer.amount)}</span></li>`
+    ).join('');
+    settlementSection = `
+    <section class="section sheet" id="section-settlement">
+      <h2>${t('settlement.title')}</h2>
+      <table class="budget" aria-label="${t('settlement.byMember')}">
+        <thead>
+          <tr>
+            <th>${t('common.name')}</th>
+            <th style="width:20%">${t('settlement.paid')}</th>
+            <th style="width:20%">${t('settlement.share')}</th>
+            <th style="width:22%">${t('settlement.balance')}</th>
+          </tr>
+        </thead>
+        <tbody>${settlementRows}</tbody>
+      </table>
+      <h3 class="sticker">${t('settlement.transfers')}</h3>
+      ${transferItems
+        ? `<ul class="transfers">${transferItems}</ul>`
+        : `<p class="hint">${t('settlement.noTransfers')}</p>`}
+      ${settlement.unassigned.length ? `<p class="hint">${t('settlement.unassigned', { titles: formatList(settlement.unassigned.map(e => e.title)) })}</p>` : ''}
+    </section>`;
+  }
 
   // =========================
   // 行程（場所と時系列）生成
   // =========================
-  console.time('itinerary');
   const imagesMeta = Array.isArray(json?.images) ? json.images : [];
   const events = [];
   for (let i = 0; i < imagesMeta.length; i++) {
     const m = imagesMeta[i] || {};
     const clientId = get(m, 'clientId');
     const rawPlaceName = get(m, 'placeName');
-    const placeName = rawPlaceName || '（場所不明）';
+    const placeName = rawPlaceName || t('common.unknownPlace');
     const rawDt = get(m, 'dateTime');
     let dt = null;
     if (typeof rawDt === 'string') {
@@ -161,11 +196,8 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     let ts = null;
     if (dt) {
       try {
-        const dateFmt = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', year: 'numeric', month: '2-digit', day: '2-digit' });
-        const timeFmt = new Intl.DateTimeFormat('ja-JP', { timeZone: 'Asia/Tokyo', hour: '2-digit', minute: '2-digit', hour12: false });
-        const dParts = dateFmt.formatToParts(dt).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
-        ymd = `${dParts.year}/${dParts.month}/${dParts.day}`;
-        hm = timeFmt.format(dt);
+        ymd = formatJstDate(dt);
+        hm = formatJstTime(dt);
         ts = dt.getTime();
       } catch {}
     }
@@ -183,7 +215,7 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
   // グルーピング（ymdなしは"日付不明"）
   const groups = new Map();
   for (const ev of events) {
-    const key = ev.ymd || '日付不明';
+    const key = ev.ymd || UNKNOWN_DATE;
     if (!groups.has(key)) groups.set(key, []);
     groups.get(key).push(ev);
   }
@@ -191,8 +223,8 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
   // グループキーの並び順（年月日昇順、日付不明は最後）
   const keys = Array.from(groups.keys());
   keys.sort((a, b) => {
-    if (a === '日付不明') return 1;
-    if (b === '日付不明') return -1;
+    if (a === UNKNOWN_DATE) return 1;
+    if (b === UNKNOWN_DATE) return -1;
     // YYYY/MM/DD を数値比較
     const na = Number(a.replaceAll('/', ''));
     const nb = Number(b.replaceAll('/', ''));
@@ -209,7 +241,9 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     });
   }
 
-  // 描画用HTML（intinerary優先）
+  // 描画用HTML（intinerary優先）。日付・場所が分からないものは表示言語の文言にする
+  const dayLabel = (date) => (date === UNKNOWN_DATE ? t('common.unknownDate') : date);
+  const placeLabel = (place) => (place === UNKNOWN_PLACE ? t('common.unknownPlace') : place);
   let itineraryHtml = '';
   if (intinerary && Array.isArray(intinerary.days) && intinerary.days.length > 0) {
     let inner = '';
@@ -217,15 +251,15 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
       const date = day.date || '';
       const details = Array.isArray(day.details) ? day.details : [];
       inner += `
-        <h3 class="sticker">${date}</h3>
+        <h3 class="sticker">${dayLabel(date)}</h3>
         <ul>
-          ${details.map(d => `<li><span class="time">${d.startTime || ''}</span><span class="dot">……</span><span class="place">${d.place || ''}</span></li>`).join('\n          ')}
+          ${details.map(d => `<li><span class="time">${d.startTime || ''}</span><span class="dot">……</span><span class="place">${placeLabel(d.place || '')}</span></li>`).join('\n          ')}
         </ul>`;
     }
     if (inner.trim()) {
       itineraryHtml = `
-        <section class="section sheet">
-          <h2>行程</h2>
+        <section class="section sheet" id="section-itinerary">
+          <h2>${t('itinerary.title')}</h2>
           <div class="itinerary">${inner}
           </div>
         </section>`;
@@ -236,72 +270,89 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
       const list = groups.get(k);
       if (!list || list.length === 0) continue;
       inner += `
-        <h3 class="sticker">${k}</h3>
+        <h3 class="sticker">${dayLabel(k)}</h3>
         <ul>
           ${list.map(ev => `<li><span class="time">${ev.hm}</span><span class="dot">……</span><span class="place">${ev.placeName}</span></li>`).join('\n          ')}
         </ul>`;
     }
     if (inner.trim()) {
       itineraryHtml = `
-        <section class="section sheet">
-          <h2>行程</h2>
+        <section class="section sheet" id="section-itinerary">
+          <h2>${t('itinerary.title')}</h2>
           <div class="itinerary">${inner}
           </div>
         </section>`;
     }
   }
-  console.timeEnd('itinerary');
 
-  // 感想（小6・しおり風）セクション
+  // 写真アルバム
+  const albumHtml = renderAlbumSections(options.photos, imagesMeta, { layout: options.albumLayout, locale });
+
+  // 感想（小6・しおり風）セクション。班員ごとの作文なら1人1ページ
+  const esc = (s) => String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+  const impressionSheet = ({ id, title }, text) => `
+    <section class="section sheet" id="section-${id}">
+      <h2>${title}</h2>
+      <div class="impression">${esc(text.trim()).replaceAll('\n', '<br>')}</div>
+    </section>`;
   let impressionSection = '';
+  const impressionEntries = [];
   if (typeof impression === 'string' && impression.trim()) {
-    const esc = (s) => String(s)
-      .replaceAll('&', '&amp;')
-      .replaceAll('<', '&lt;')
-      .replaceAll('>', '&gt;');
-    const body = esc(impression.trim()).replaceAll('\n', '<br>');
-    impressionSection = `
-    <section class="section sheet">
-      <h2>⭐️旅の感想⭐️</h2>
-      <div class="impression">${body}</div>
-    </section>`;
+    impressionEntries.push({ id: 'impression', title: t('impression.title') });
+    impressionSection = impressionSheet(impressionEntries[0], impression);
+  } else if (Array.isArray(impression)) {
+    impressionSection = impression
+      .filter(essay => typeof essay?.text === 'string' && essay.text.trim())
+      .map((essay, i) => {
+        const entry = { id: `impression-${i + 1}`, title: t('impression.memberTitle', { name: esc(essay.name) }) };
+        impressionEntries.push(entry);
+        return impressionSheet(entry, essay.text);
+      })
+      .join('');
   }
 
+  // 目次（載せたセクションだけ）。ページ番号は空欄で出力し、PDFにするときに書き込む（index.js の htmlToPdf）
+  const tocEntries = [
+    (scheduleText || membersRows) && { id: 'schedule', title: t('schedule.title') },
+    { id: 'guide', title: purpose ? t('purpose.title') : hotels ? t('hotels.title') : t('checklist.title') },
+    budgetRows && { id: 'allowance', title: t('allowance.title') },
+    settlementSection && { id: 'settlement', title: t('settlement.title') },
+    ...impressionEntries,
+    itineraryHtml && { id: 'itinerary', title: t('itinerary.title') },
+    albumHtml && { id: 'album', title: t('album.title') },
+  ].filter(Boolean);
+  const tocSection = `
+    <section class="section sheet toc">
+      <h2>${t('toc.title')}</h2>
+      <ol>
+        ${tocEntries.map(e => `<li><a href="#section-${e.id}">${e.title}</a><span class="dot"></span><span class="num" data-toc-page="section-${e.id}"></span></li>`).join('\n        ')}
+      </ol>
+    </section>`;
+
   // HTML生成
   return `
 <!DOCTYPE html>
-<html lang="ja">
+<html lang="${locale}">
 <head>
   <meta charset="utf-8" />
-  <title>修学旅行のしおり</title>
+  <title>${t('booklet.title')}</title>
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <style>
-    /* ======== 基本設定 ======== */
-    :root{
-      --ink:#000;
-      --warn:#dc5a3a;             /* 強調色（注意・警戒） */
-      --accent:#2e7d32;           /* 見出し・罫線のアクセント（深緑） */
-    }
+    /* ======== 基本設定（色・フォント・見出しの飾りはテーマのCSS変数、themes.js） ======== */
     body{
       margin:0; color:var(--ink);
-      background:#fff;
-      font-family:
-        "Hiragino Maru Gothic ProN",
-        "BIZ UDGothic",
-        "Kosugi Maru",
-        "Yu Gothic",
-        "Noto Sans JP",
-        "Hiragino Kaku Gothic ProN",
-        Meiryo,
-        sans-serif;
+      background-color:var(--page);
+      font-family:var(--font-body);
       line-height:1.6; font-size:12pt;
     }
 
-    /* @page rule is defined below for A5 */
+    /* @page rule is defined below (page size from options.pageSize) */
     @media print{
       body{ -webkit-print-color-adjust:exact; print-color-adjust:exact; }
       .no-print{ display:none !important; }
-      .page-footer{ position:fixed; bottom:8mm; left:0; right:0; text-align:center; font-size:10pt; color:#444; }
     }
 
     h2{
@@ -309,8 +360,8 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
       font-size:16pt;
       font-weight:700;
       text-align:left;
-      border-bottom:2px solid var(--accent);
-      padding-bottom:4px;
+      color:var(--heading-ink);
+      font-family:var(--font-heading);
     }
 
     .section{
@@ -341,45 +392,25 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     }
 
     ul.goals li {
-      font-size: 24pt;            /* A5で見出し級に大きく */
+      font-size: 24pt;            /* 見出し級に大きく */
       font-weight: bold;
       margin: 12pt 0;
       padding: 8pt 12pt;
-      background: #eaf3ec;       /* アクセントに合わせた淡緑 */
+      background: var(--accent-soft); /* アクセントに合わせた淡い色 */
       border-radius: 12pt;
       box-shadow: 2pt 2pt 6pt rgba(0,0,0,0.2);
       display: inline-block;      /* 横幅に合わせて中央寄せ */
     }
 
     table.members{ width:100%; border-collapse:collapse; margin-top:8px; }
-    .members th, .members td{ border:1px solid #000; padding:6px; font-size:11pt; text-align:left; }
-    .members th{ background:#eaf3ec; }
+    .members th, .members td{ border:1px solid var(--border); padding:6px; font-size:11pt; text-align:left; }
+    .members th{ background:var(--accent-soft); }
 
     table.budget{ width:100%; border-collapse:collapse; margin-top:8px; }
-    .budget th,.budget td{ border:1px solid #000; padding:6px; vertical-align:top; font-size:10.5pt; }
-    .budget th{ background:#eaf3ec; text-align:left; }
+    .budget th,.budget td{ border:1px solid var(--border); padding:6px; vertical-align:top; font-size:10.5pt; }
+    .budget th{ background:var(--accent-soft); text-align:left; }
     .budget .money{ text-align:right; }
-
-    /* 付箋/テープ風見出し（小見出し用） */
-    .sticker{
-      display:inline-block;
-      padding:6px 10px;
-      border-radius:8px;
-      background:#f2f7f3; /* 薄い緑がかった灰色 */
-      position:relative;
-      font-weight:700;
-      box-shadow:1px 1px 0 rgba(0,0,0,.35);
-    }
-    .sticker::before{
-      content:"";
-      position:absolute;
-      inset:-6px auto auto -6px;
-      width:36px; height:18px;
-      background:repeating-linear-gradient(45deg, rgba(0,0,0,.08) 0 6px, rgba(0,0,0,.16) 6px 12px);
-      transform:rotate(-6deg);
-      opacity:.7;
-      pointer-events:none;
-    }
+    .budget .converted{ font-size:8.5pt; color:var(--muted); }
 
     /* 行程の可読性向上 */
     .itinerary ul{ margin:6px 0 12px; list-style:none; padding-left:0; }
@@ -388,18 +419,46 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     .itinerary li .dot{ display:inline-block; margin:0 6px; opacity:.85; }
     .itinerary li .place{ display:inline-block; }
 
-    .total-box{ margin-top:10px; border:2px solid var(--accent); background:#f3f8f4; padding:6px 10px; display:flex; justify-content:space-between; }
+    .total-box{ margin-top:10px; border:2px solid var(--accent); background:var(--total-box); padding:6px 10px; display:flex; justify-content:space-between; }
     .total-box .label{ color:var(--accent); font-weight:700; }
     .total-box .value{ font-weight:800; font-size:13pt; }
-
-    .hint{ font-size:9pt; color:#444; margin-top:4px; }
+    .total-box.over{ border-color:var(--warn); background:var(--warn-soft); }
+    .total-box.over .label, .total-box.over .value{ color:var(--warn); }
+    .budget tr.over td{ background:var(--warn-soft); }
+    .budget-sub{ margin-bottom:10px; }
+
+    .hint{ font-size:9pt; color:var(--muted); margin-top:4px; }
+    .transfers{ list-style:none; padding:0; margin:6px 0; }
+    .transfers li{ display:flex; align-items:baseline; gap:4px; padding:3px 0; border-bottom:1px dashed #ccc; }
+    .transfers .dot{ flex:1; overflow:hidden; color:#aaa; }
+    .transfers .money{ font-weight:700; }
     .warn{ color:var(--warn); font-weight:700; }
     .impression{ white-space:normal; line-height:1.7; font-size:11pt; }
 
-    /* ここ崩すと表紙のフィットがうまくいかなくなるので暫定で固定 */
+    /* 目次 */
+    .toc ol{ list-style:none; padding:0; margin:8px 0; }
+    .toc li{ display:flex; align-items:baseline; gap:4px; padding:6px 0; border-bottom:1px dashed var(--border); font-size:12pt; }
+    .toc a{ color:inherit; text-decoration:none; }
+    .toc .dot{ flex:1; }
+    .toc .num{ min-width:3ch; text-align:right; font-variant-numeric:tabular-nums; }
+
+    /* 写真アルバム（1ページに1〜4枚） */
+    .album-grid{ display:grid; gap:4mm; height:${Math.max(60, page.height - 70)}mm; margin-top:4mm; }
+    .album-grid--grid{ grid-template-columns:1fr 1fr; grid-template-rows:1fr 1fr; }
+    .album-grid--feature{ grid-template-columns:1fr 1fr; grid-template-rows:3fr 2fr; }
+    .album-grid--feature figure:first-child{ grid-column:1 / span 2; }
+    .album-grid--stack{ grid-template-columns:1fr; grid-template-rows:1fr 1fr; }
+    .album-grid--single{ grid-template-columns:1fr; grid-template-rows:1fr; }
+    .album-grid figure{ margin:0; min-height:0; display:flex; flex-direction:column; padding:2mm; border:1px solid var(--border); background:#fff; box-shadow:1px 1px 0 rgba(0,0,0,.35); }
+    .album-grid img{ flex:1; min-height:0; width:100%; object-fit:cover; }
+    .album-grid figcaption{ display:flex; justify-content:space-between; gap:2mm; margin-top:1mm; font-size:9pt; }
+    .album-grid figcaption .time{ font-variant-numeric:tabular-nums; color:var(--muted); }
+
+    /* 表紙のページは用紙いっぱい（余白なし）。高さは vh ではなく用紙の大きさで指定する */
+    /* 表紙以外は下にページ番号を入れる余白を空ける（番号は PDF にしてから toc.js で入れる） */
     @page {
-      margin: 0mm 5mm;
-      size: A5 portrait;
+      margin: 0mm 5mm 10mm;
+      size: ${page.width}mm ${page.height}mm;
     }
     @media print {
       body::before, body::after {
@@ -409,49 +468,55 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
     }
     @page fullimage {
       margin: 0mm 0mm;
-      size: A5 portrait;
+      size: ${page.width}mm ${page.height}mm;
     }
     .page {
       page: fullimage;
       position: relative;
       width: 100%;
-      height: 100vh; /* 1ページの高さを確保 */
+      height: calc(${page.height}mm - 1px); /* 1ページの高さを確保（丸めで白紙のページが出ないよう少し小さく） */
       overflow: hidden;
     }
+    .page .cover-image{ display:block; width:100%; height:100%; object-fit:${landscape ? 'contain' : 'cover'}; object-position:50% 50%; }
+    .page .local-cover{ display:block; width:100%; height:100%; }
+    ${renderThemeCss(getTheme(options.theme))}
   </style>
 </head>
 <body>
   <div class="container">
     <div class="page">  
-    ${base64Image ? `<img src="data:image/png;base64,${base64Image}" alt="Cover Image" style="width: 100%;object-fit:cover;object-position: 50% 50%;" />` : ''}
+    ${base64Image
+      ? `<img class="cover-image" src="data:image/png;base64,${base64Image}" alt="Cover Image" />`
+      : renderLocalCover(json, { template: options.coverTemplate, photo: options.coverPhoto, locale, fit: landscape ? 'meet' : 'slice' })}
     </div>
+    ${tocSection}
     ${scheduleText || membersRows ? `
-      <section class="section sheet">
-        <h2>日程</h2>
+      <section class="section sheet" id="section-schedule">
+        <h2>${t('schedule.title')}</h2>
         ${scheduleText ? `
           <dl class="kv">
             <dd>${scheduleText}</dd>
           </dl>
         ` : ''}
-        <h2>班員名簿</h2>
+        <h2>${t('members.title')}</h2>
         <table class="members">
           <thead>
             <tr>
-              <th style="width:30%">氏名</th>
-              <th style="width:18%">役割</th>
-              <th>エピソード</th>
+              <th style="width:30%">${t('common.name')}</th>
+              <th style="width:18%">${t('members.role')}</th>
+              <th>${t('members.episode')}</th>
             </tr>
           </thead>
           <tbody>
             ${membersRows}
           </tbody>
         </table>
-        <p class="hint">※ 名札・健康カードを必ず携帯しましょう。</p>
+        <p class="hint">${t('members.hint')}</p>
       </section>
     ` : ''}
-    <section class="section sheet">
+    <section class="section sheet" id="section-guide">
       ${purpose ? `
-        <h2>旅の目的</h2>
+        <h2>${t('purpose.title')}</h2>
         <div class="goals-container">
           <ul class="goals">
             <li>${purpose}</li>
@@ -459,55 +524,78 @@ export function generateHtmlFromJson(json, base64Image, intinerary, impression)
         </div>
       ` : ''}
       ${hotels ? `
-        <h2>宿泊先</h2>
+        <h2>${t('hotels.title')}</h2>
         <dl class="kv">
           <dd>${hotels}</dd>
         </dl>
       `: ''}
-      <h2>持ち物と注意</h2>
+      <h2>${t('checklist.title')}</h2>
       <dl class="kv">
-        <dt>必ず持参</dt>
-        <dd>しおり・筆記用具・健康保険証の写し・雨具・常備薬・ハンカチ/ティッシュ</dd>
+        <dt>${t('checklist.mustBring')}</dt>
+        <dd>${t('checklist.mustBringItems')}</dd>
       </dl>
       <dl class="kv">
-        <dt>あると便利</dt>
-        <dd>小さめの折りたたみバッグ・モバイルバッテリー・絆創膏</dd>
+        <dt>${t('checklist.useful')}</dt>
+        <dd>${t('checklist.usefulItems')}</dd>
       </dl>
       <dl class="kv">
-        <dt class="warn">約束（厳守）</dt>
-        <dd>時間厳守・整理整頓・買い物は班長に相談・夜更かし禁止</dd>
+        <dt class="warn">${t('checklist.rules')}</dt>
+        <dd>${t('checklist.rulesItems')}</dd>
       </dl>
     </section>
     ${budgetRows ? `
-    <section class="section sheet">
-      <h2>おこづかい帳</h2>
+    <section class="section sheet" id="section-allowance">
+      <h2>${t('allowance.title')}</h2>
       <div class="total-box">
-        <div class="label">おこづかい</div>
-        <div class="value">${allowanceUpper}円</div>
+        <div class="label">${t('allowance.budget')}</div>
+        <div class="value">${money(allowanceSummary.budgetTotal)}</div>
       </div>
-      <table class="budget" aria-label="予算内訳">
+      ${memberBudgetRows ? `
+      <table class="budget budget-sub" aria-label="${t('allowance.byMember')}">
+        <thead><tr><th>${t('common.name')}</th><th style="width:30%">${t('allowance.budget')}</th></tr></thead>
+        <tbody>${memberBudgetRows}</tbody>
+      </table>
+      ` : ''}
+      <table class="budget" aria-label="${t('allowance.breakdown')}">
         <thead>
           <tr>
-            <th style="width:25%">買ったもの</th>
-            <th>商品名</th>
-            <th style="width:18%">金額</th>
-            <th style="width:18%">残金</th>
+            <th style="width:25%">${t('allowance.purchase')}</th>
+            <th>${t('allowance.items')}</th>
+            <th style="width:18%">${t('common.amount')}</th>
+            <th style="width:18%">${t('allowance.remain')}</th>
           </tr>
         </thead>
         <tbody>
           ${budgetRows}
         </tbody>
       </table>
-      <div class="total-box">
-        <div class="label">残ったお金</div>
-        <div class="value">${allowanceUpper - spentTotal}円</div>
+      <div class="total-box${allowanceSummary.over ? ' over' : ''}">
+        <div class="label">${allowanceSummary.over ? t('allowance.over') : t('allowance.left')}</div>
+        <div class="value">${remainText(allowanceSummary.remain)}</div>
       </div>
-      <p class="hint">※ おこづかいはよく考えて使いましょう</p>
+      ${categoryRows ? `
+      <h3 class="sticker">${t('allowance.byCategory')}</h3>
+      <table class="budget budget-sub" aria-label="${t('allowance.byCategory')}">
+        <thead><tr><th>${t('allowance.category')}</th><th style="width:30%">${t('common.amount')}</th></tr></thead>
+        <tbody>${categoryRows}</tbody>
+      </table>
+      ` : ''}
+      ${dayRows ? `
+      <h3 class="sticker">${t('allowance.byDay')}</h3>
+      <table class="budget budget-sub" aria-label="${t('allowance.byDay')}">
+        <thead><tr><th>${t('common.date')}</th><th style="width:22%">${t('common.amount')}</th>${hasDayBudget ? `<th style="width:22%">${t('allowance.dayBudget')}</th><th style="width:22%">${t('allowance.remain')}</th>` : ''}</tr></thead>
+        <tbody>${dayRows}</tbody>
+      </table>
+      ` : ''}
+      ${rateNotes.length ? `<p class="hint">${t('allowance.rateNote', { rates: formatList(rateNotes), currency: formatCurrencyName(converter.home, locale) })}</p>` : ''}
+      ${allowanceSummary.isDefaultBudget ? `<p class="hint">${t('allowance.defaultBudget', { unit: money(allowanceSummary.budgetUnit) })}</p>` : ''}
+      <p class="hint">${t('allowance.advice')}</p>
     </section>
     ` : ''}
+    ${settlementSection}
     ${impressionSection}
     ${itineraryHtml}
-    <div class="page-footer" aria-hidden="true"></div>
+    ${albumHtml}
   </div>
 </body>
 </html>
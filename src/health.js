@@ -0,0 +1,98 @@
+import { runInBrowser, checkBrowserQueue, getBrowserPoolStats } from './browserPool.js';
+import { getTextProvider, getImageProvider } from './ai/index.js';
+import { DEFAULT_COVER } from './localCover.js';
+
+// 稼働確認（GET /healthz）と、リクエストを受け付けられるかの確認（GET /readyz）
+// readyz はブラウザで小さなページを実際に PDF にし、使う AI プロバイダの設定と描画の待ちの数を確かめる
+
+const BROWSER_CHECK_TIMEOUT_MS = 10000;
+// 短い間隔で確認されても Chromium に負担をかけないよう、ブラウザの確認結果はしばらく使い回す
+const BROWSER_CHECK_CACHE_MS = 5000;
+
+const PROBE_HTML = '<!DOCTYPE html><html><body><p>ok</p></body></html>';
+
+let lastBrowserCheck = null; // { at: 確認を始めた時刻, promise }
+
+// プールのブラウザで1ページの PDF を作れるか
+async function checkBrowser() {
+  const pool = getBrowserPoolStats();
+  // すべて描画中ならブラウザは動いている（確認のために待ちに並ばない）
+  if (pool.busy >= pool.size) return { ok: true, skipped: 'all browsers are rendering' };
+  const startedAt = Date.now();
+  try {
+    const pdf = await runInBrowser(async (browser) => {
+      const page = await browser.newPage();
+      try {
+        await page.setContent(PROBE_HTML, { timeout: BROWSER_CHECK_TIMEOUT_MS });
+        return await page.pdf({ width: '50mm', height: '50mm', timeout: BROWSER_CHECK_TIMEOUT_MS });
+      } finally {
+        try { await page.close(); } catch {}
+      }
+    }, AbortSignal.timeout(BROWSER_CHECK_TIMEOUT_MS), { measured: false });
+    if (Buffer.from(pdf.subarray(0, 5)).toString('latin1') !== '%PDF-') {
+      throw new Error('rendered output is not a PDF');
+    }
+    return { ok: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: error?.message || String(error) };
+  }
+}
+
+function cachedBrowserCheck() {
+  if (!lastBrowserCheck || Date.now() - lastBrowserCheck.at >= BROWSER_CHECK_CACHE_MS) {
+    lastBrowserCheck = { at: Date.now(), promise: checkBrowser() };
+  }
+  return lastBrowserCheck.promise;
+}
+
+// AI プロバイダが選べて、必要な環境変数（APIキー）が設定されているか
+function checkAiProvider(getProvider) {
+  try {
+    const provider = getProvider();
+    return provider.isConfigured()
+      ? { ok: true, provider: provider.name, model: provider.model }
+      : { ok: false, provider: provider.name, error: `${provider.requiredEnv} is not set` };
+  } catch (error) {
+    return { ok: false, error: error?.message || String(error) };
+  }
+}
+
+// 描画の待ちがいっぱいでないか（いっぱいなら新しい生成は 429 になる）
+function checkRenderQueue() {
+  const { full } = checkBrowserQueue();
+  const { size, busy, queued, maxQueue, closing } = getBrowserPoolStats();
+  return {
+    ok: !full,
+    size,
+    busy,
+    queued,
+    maxQueue,
+    ...(closing ? { error: 'browser pool is shutting down' } : full ? { error: 'render queue is full' } : {}),
+  };
+}
+
+/**
+ * 稼働確認（プロセスが応答できるか。外部の依存は見ない）
+ * @returns {{status: 'ok', uptimeSeconds: number}}
+ */
+export function getLiveness() {
+  return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * リクエストを受け付けられるか（ブラウザ・AI プロバイダ・描画の待ち）
+ * @returns {Promise<{ready: boolean, status: 'ready'|'not_ready', checks: Record<string, {ok: boolean, error?: string}>}>}
+ */
+export async function getReadiness() {
+  const checks = {
+    browser: await cachedBrowserCheck(),
+    textProvider: checkAiProvider(getTextProvider),
+    // 表紙を描くのが既定のデプロイでは画像生成を使わない（cover=ai を指定されても失敗すれば描いた表紙になる）
+    imageProvider: DEFAULT_COVER === 'ai'
+      ? checkAiProvider(getImageProvider)
+      : { ok: true, skipped: `not used (DEFAULT_COVER=${DEFAULT_COVER})` },
+    renderQueue: checkRenderQueue(),
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+  return { ready, status: ready ? 'ready' : 'not_ready', checks };
+}
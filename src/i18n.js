@@ -0,0 +1,52 @@
+import { readFileSync, readdirSync } from 'node:fs';
+
+// しおりの表示言語（メッセージカタログは locales/<言語コード>.json。ファイルを足せば言語が増える）
+// カタログに無い文言は日本語のものを使う
+
+export const DEFAULT_LOCALE = 'ja';
+
+// 言語コード → カタログ
+const catalogs = (() => {
+  const dir = new URL('./locales/', import.meta.url);
+  const result = {};
+  for (const file of readdirSync(dir)) {
+    const m = file.match(/^([a-z]{2,3}(?:-[A-Z]{2})?)\.json$/);
+    if (m) result[m[1]] = JSON.parse(readFileSync(new URL(file, dir), 'utf8'));
+  }
+  return result;
+})();
+
+// 既定の言語を先頭にする
+export const LOCALES = Object.keys(catalogs)
+  .sort((a, b) => (b === DEFAULT_LOCALE) - (a === DEFAULT_LOCALE) || a.localeCompare(b));
+
+const lookup = (catalog, key) => key.split('.').reduce((obj, k) => obj?.[k], catalog);
+
+/**
+ * 言語ごとの文言を取り出す関数を作る
+ * @param {string} [locale] LOCALES のいずれか（それ以外は既定の言語）
+ * @returns {{locale: string, t: (key: string, vars?: Record<string, string>) => string, list: (items: string[]) => string}}
+ *   t: 「allowance.title」のようなキーの文言（{{名前}} を vars で置き換える）/ list: 「A、B、C」のような列挙
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const resolved = catalogs[locale] ? locale : DEFAULT_LOCALE;
+  const t = (key, vars = {}) => {
+    const text = lookup(catalogs[resolved], key) ?? lookup(catalogs[DEFAULT_LOCALE], key) ?? key;
+    return String(text).replace(/\{\{(\w+)\}\}/g, (_, name) => vars[name] ?? '');
+  };
+  const listFormat = new Intl.ListFormat(resolved, { type: 'conjunction' });
+  return { locale: resolved, t, list: (items) => listFormat.format(items) };
+}
+
+/**
+ * 言語名（AIのプロンプトに書く用。例: languageName('en') → 「英語」）
+ * @param {string} locale
+ * @param {string} [inLocale] 何語で書くか
+ */
+export function languageName(locale, inLocale = DEFAULT_LOCALE) {
+  try {
+    return new Intl.DisplayNames([inLocale], { type: 'language' }).of(locale) || locale;
+  } catch {
+    return locale;
+  }
+}
@@ -0,0 +1,54 @@
+import sharp from 'sharp';
+
+import { logger } from './logger.js';
+
+// アルバム・表紙に使う写真の縮小設定（PDFを小さく保つため）
+const MAX_EDGE_PX = parseInt(process.env.PHOTO_MAX_EDGE_PX) || 1600;
+const JPEG_QUALITY = parseInt(process.env.PHOTO_JPEG_QUALITY) || 80;
+// 表紙のサムネイルの幅
+const THUMBNAIL_WIDTH_PX = 320;
+
+/**
+ * 写真を長辺 MAX_EDGE_PX 以内のJPEGに縮小する（EXIFの向きは反映済みにする）
+ * @param {Buffer} buffer 元画像
+ * @returns {Promise<{data: Buffer, mimeType: string, width: number, height: number}>}
+ */
+export async function downscaleImage(buffer) {
+  const { data, info } = await sharp(buffer, { failOn: 'none' })
+    .rotate()
+    .resize({ width: MAX_EDGE_PX, height: MAX_EDGE_PX, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  return { data, mimeType: 'image/jpeg', width: info.width, height: info.height };
+}
+
+/**
+ * アップロードされた写真をまとめて縮小する。読めない画像は除外する
+ * @param {{data: Buffer, mimeType: string, clientId?: string, index: number}[]} photos
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<object[]>} 縮小後の写真（clientId・index はそのまま）
+ */
+export async function prepareAlbumPhotos(photos, signal) {
+  const prepared = [];
+  // 1コアでも他の処理を止めないよう1枚ずつ処理する
+  for (const photo of photos) {
+    signal?.throwIfAborted();
+    try {
+      prepared.push({ ...photo, ...(await downscaleImage(photo.data)) });
+    } catch (error) {
+      logger.warn('Skipping unreadable photo', { photo: photo.index, error });
+    }
+  }
+  return prepared;
+}
+
+/**
+ * 表紙のサムネイルを作る（幅 THUMBNAIL_WIDTH_PX に縮小）
+ * @param {Buffer} buffer 表紙のページの画像
+ * @param {'png'|'jpeg'} [type]
+ * @returns {Promise<Buffer>}
+ */
+export function makeThumbnail(buffer, type = 'png') {
+  const image = sharp(buffer).resize({ width: THUMBNAIL_WIDTH_PX, withoutEnlargement: true });
+  return (type === 'jpeg' ? image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }) : image.png()).toBuffer();
+}
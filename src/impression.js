@@ -0,0 +1,204 @@
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { createCurrencyConverter, formatMoney } from './currency.js';
+import { DEFAULT_LOCALE, languageName } from './i18n.js';
+
+// 感想文のプロンプト（書き手・長さ・トーン・段落数・言語を選べる。班員ごとの作文にも対応）
+// テンプレートは prompts/<名前>.v<バージョン>.txt に置き、同じ名前なら一番新しいバージョンを使う
+
+export const IMPRESSION_MODES = ['summary', 'members'];
+export const IMPRESSION_PERSONAS = ['student', 'member', 'teacher'];
+export const IMPRESSION_TONES = {
+  cheerful: '前向きな気持ちが伝わるようにします。',
+  calm: '落ち着いた語り口で、心に残ったことをていねいにふり返ります。',
+  humorous: 'くすっと笑えるような楽しい書き方にします（ただし作り話はしません）。',
+  formal: 'ていねいな言葉（です・ます）で書きます。',
+};
+export const IMPRESSION_GRADES = { min: 1, max: 9 };
+export const IMPRESSION_LENGTHS = { min: 100, max: 2000 };
+export const IMPRESSION_PARAGRAPHS = { min: 1, max: 6 };
+
+// 長さの指定が無いときの目安の文字数（全体の感想 / 班員ごとの作文）
+const DEFAULT_LENGTH = { summary: 400, members: 200 };
+
+export const DEFAULT_IMPRESSION_OPTIONS = {
+  mode: 'summary',
+  persona: 'student',
+  grade: 6,
+  member: null,
+  length: null,
+  tone: 'cheerful',
+  paragraphs: null,
+};
+
+// テンプレート名 → { version, text }
+const templates = (() => {
+  const dir = new URL('./prompts/', import.meta.url);
+  const latest = {};
+  for (const file of readdirSync(dir)) {
+    const m = file.match(/^(\w+)\.v(\d+)\.txt$/);
+    if (!m) continue;
+    const version = Number(m[2]);
+    if (latest[m[1]] && latest[m[1]].version >= version) continue;
+    latest[m[1]] = { version, text: readFileSync(new URL(file, dir), 'utf8') };
+  }
+  return latest;
+})();
+
+/**
+ * プロンプトのテンプレートを取得する
+ * @param {string} name テンプレート名（impression / memberEssay）
+ * @returns {{name: string, version: number, text: string}}
+ */
+export function getPromptTemplate(name) {
+  const template = templates[name];
+  if (!template) throw new Error(`Prompt template not found: ${name}`);
+  return { name, ...template };
+}
+
+/**
+ * テンプレートの {{名前}} を置き換える（無い値は空にし、空行が3行以上続かないようにする）
+ * @param {string} text
+ * @param {Record<string, string>} vars
+ */
+export function renderTemplate(text, vars) {
+  return text
+    .replace(/\{\{(\w+)\}\}/g, (_, key) => vars[key] ?? '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const asArray = (v) => (Array.isArray(v) ? v : []);
+
+const gradeLabel = (grade) => (grade <= 6 ? `小学${grade}年生` : `中学${grade - 6}年生`);
+
+const lengthText = (length) =>
+  `${Math.round(length * 0.75 / 10) * 10}〜${Math.round(length * 1.25 / 10) * 10}文字`;
+
+// 日本語以外で書くときの注意（文字数は日本語での目安）
+const languageNote = (locale) =>
+  (locale === 'ja' ? '' : '文字数は日本語で書く場合の目安なので、同じくらいの分量になるようにしてください。');
+
+const paragraphsText = (paragraphs) =>
+  (paragraphs ? `段落を${paragraphs}つに分けてください。` : '段落を2〜4つに分けてください。');
+
+// 学年に合わせた書き方
+function styleText(persona, grade) {
+  if (persona === 'teacher') return '児童の様子や成長が保護者にも伝わるように書きます。';
+  if (grade <= 3) return 'ひらがなを多めに、短くかんたんな文で書きます。';
+  if (grade <= 6) return '短めの文で、やさしい言葉を中心に書きます。';
+  return '自分の言葉で、感じたことや考えたことを具体的に書きます。';
+}
+
+function describeMember(member) {
+  return [
+    `・名前: ${member.name}`,
+    member.role ? `・係: ${member.role}` : '',
+    member.episode ? `・自分のエピソード: ${member.episode}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+// 旅行データの要約（任意項目は無ければ書かない）
+function summarizeTrip(detailJson) {
+  const trip = detailJson.trip || {};
+  const converter = createCurrencyConverter(trip);
+  const allowance = asArray(trip.allowance);
+  const allowanceTotal = allowance.reduce((sum, a) =>
+    sum + (converter.convert(Number(a.total) || 0, a.currency) ?? 0), 0);
+  const members = asArray(trip.members)
+    .map(member => `${member.name}${member.role ? `（${member.role}）` : ''}${member.episode ? `（${member.episode}）` : ''}`)
+    .join('、');
+  const hotels = asArray(trip.hotels).filter(Boolean).join('、');
+  const places = asArray(detailJson.images).map(image => image.placeName).filter(Boolean).join(' → ');
+  const allowanceDetails = allowance
+    .map(a => {
+      const amount = formatMoney(Number(a.total) || 0, converter.currencyOf(a.currency));
+      return a.title ? `${a.title}(${amount})` : amount;
+    })
+    .join('、');
+
+  return [
+    trip.purpose ? `・目的: ${trip.purpose}` : '',
+    trip.startDate || trip.endDate ? `・期間: ${trip.startDate || ''} 〜 ${trip.endDate || ''}` : '',
+    hotels ? `・宿泊先: ${hotels}` : '',
+    members ? `・参加メンバー: ${members}` : '',
+    places ? `・主な訪問地: ${places}` : '',
+    allowance.length ? `・おこづかいメモ: 合計 ${formatMoney(allowanceTotal, converter.home)}、主な内訳 ${allowanceDetails}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * 感想を書く班員（名前のある班員）
+ * @param {object} detailJson
+ * @returns {{name: string, role?: string, episode?: string}[]}
+ */
+export function impressionMembers(detailJson) {
+  return asArray(detailJson?.trip?.members).filter(member => typeof member?.name === 'string' && member.name.trim());
+}
+
+/**
+ * 旅行全体の感想のプロンプトを作る
+ * @param {object} detailJson
+ * @param {object} [options] DEFAULT_IMPRESSION_OPTIONS と同じ形
+ * @param {string} [locale] 感想を書く言語（i18n.js の LOCALES）
+ * @returns {{template: string, version: number, prompt: string}}
+ */
+export function buildImpressionPrompt(detailJson, options = DEFAULT_IMPRESSION_OPTIONS, locale = DEFAULT_LOCALE) {
+  const { persona, grade, tone, paragraphs } = { ...DEFAULT_IMPRESSION_OPTIONS, ...options };
+  const template = getPromptTemplate('impression');
+  const member = persona === 'member'
+    ? impressionMembers(detailJson).find(m => m.name === options.member)
+    : null;
+
+  let personaText = `あなたは${gradeLabel(grade)}です。`;
+  if (persona === 'teacher') {
+    personaText = 'あなたは旅行を引率した先生です。見守った立場から、旅行のまとめを書きます。';
+  } else if (member) {
+    personaText = `あなたは${gradeLabel(grade)}の${member.name}さんです。自分が体験したこととして書きます。\n${describeMember(member)}\n`;
+  }
+
+  return {
+    template: template.name,
+    version: template.version,
+    prompt: renderTemplate(template.text, {
+      persona: personaText,
+      language: languageName(locale),
+      languageNote: languageNote(locale),
+      length: lengthText(options.length || DEFAULT_LENGTH.summary),
+      style: styleText(persona, grade),
+      tone: IMPRESSION_TONES[tone] || IMPRESSION_TONES.cheerful,
+      paragraphs: paragraphsText(paragraphs),
+      summary: summarizeTrip(detailJson),
+      data: JSON.stringify(detailJson, null, 2),
+    }),
+  };
+}
+
+/**
+ * 班員ごとの作文のプロンプトを作る（その班員の episode を中心に書く）
+ * @param {object} detailJson
+ * @param {object} [options] DEFAULT_IMPRESSION_OPTIONS と同じ形
+ * @param {string} [locale] 作文を書く言語（i18n.js の LOCALES）
+ * @returns {{name: string, template: string, version: number, prompt: string}[]}
+ */
+export function buildMemberEssayPrompts(detailJson, options = DEFAULT_IMPRESSION_OPTIONS, locale = DEFAULT_LOCALE) {
+  const { grade, tone, paragraphs } = { ...DEFAULT_IMPRESSION_OPTIONS, ...options };
+  const template = getPromptTemplate('memberEssay');
+  const summary = summarizeTrip(detailJson);
+  return impressionMembers(detailJson).map(member => ({
+    name: member.name,
+    template: template.name,
+    version: template.version,
+    prompt: renderTemplate(template.text, {
+      persona: `あなたは${gradeLabel(grade)}の${member.name}さんです。`,
+      language: languageName(locale),
+      languageNote: languageNote(locale),
+      length: lengthText(options.length || DEFAULT_LENGTH.members),
+      style: styleText('member', grade),
+      tone: IMPRESSION_TONES[tone] || IMPRESSION_TONES.cheerful,
+      paragraphs: paragraphs ? paragraphsText(paragraphs) : '段落は1〜2つにしてください。',
+      member: describeMember(member),
+      summary,
+    }),
+  }));
+}
@@ -1,23 +1,153 @@
+import { createHash, randomUUID } from 'node:crypto';
 import express from 'express';
-import axios from 'axios';
 import multer from 'multer';
 import cours from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import puppeteer from 'puppeteer';
-import OpenAI from 'openai';
 
 import { generateHtmlFromJson } from './generateHtml.js';
+import {
+  createJob, getJob, cancelJob, subscribeJob, toJobStatus, getFallbackStages, countActiveJobs, JOB_STAGES,
+} from './jobs.js';
+import { getTextProvider, getImageProvider } from './ai/index.js';
+import { validateDetailJson, getDetailSchema, LATEST_DETAIL_SCHEMA_VERSION } from './detailSchema.js';
+import { COVER_TEMPLATES, DEFAULT_COVER_TEMPLATE, COVER_MODES, DEFAULT_COVER } from './localCover.js';
+import { ALBUM_LAYOUTS } from './album.js';
+import { THEMES, DEFAULT_THEME, listThemes, getThemeSchema } from './themes.js';
+import {
+  PAPER_SIZES, DEFAULT_PAPER_SIZE, ORIENTATIONS, IMPOSITION_MODES, IMPOSITION_SHEETS,
+  pageSizeOf, defaultImpositionSheet, imposeSaddleStitch,
+} from './paper.js';
+import { findSectionPages, finishBookletPdf } from './toc.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, ACCEPT_FORMATS, buildOutput } from './outputs.js';
+import { htmlToEpub } from './epub.js';
+import { prepareAlbumPhotos, makeThumbnail } from './imageProcessing.js';
+import { runInBrowser, checkBrowserQueue, closeBrowserPool, getBrowserPoolStats } from './browserPool.js';
+import { getLiveness, getReadiness } from './health.js';
+import {
+  API_KEYS_ENABLED, readApiKey, authenticate, isOriginAllowed, isOriginAllowedForAnyKey, consumeQuota, getUsage,
+} from './apiKeys.js';
+import { logger, withLogContext, bindLogContext } from './logger.js';
+import { recordHttpRequest, registerGauge, renderMetrics, measureStage } from './metrics.js';
+import { fetchPlaceInfo } from './places.js';
+import { extractPhotoMetadata, enrichDetailFromPhotos, resolvePlaceNames, placeKey } from './exif.js';
+import { buildItinerary, validateItinerary, validatePlaceNames, renamePlaces, UNKNOWN_PLACE } from './itinerary.js';
+import { computeSettlement } from './settlement.js';
+import { normalizeReceipt, RECEIPT_PROMPT } from './receipt.js';
+import { findUnconvertibleCurrencies } from './currency.js';
+import { aiCacheKey, hashData, readAiCache, writeAiCache } from './aiCache.js';
+import { createTranslator, languageName, LOCALES, DEFAULT_LOCALE } from './i18n.js';
+import {
+  buildImpressionPrompt, buildMemberEssayPrompts, impressionMembers,
+  IMPRESSION_MODES, IMPRESSION_PERSONAS, IMPRESSION_TONES, IMPRESSION_GRADES, IMPRESSION_LENGTHS, IMPRESSION_PARAGRAPHS,
+  DEFAULT_IMPRESSION_OPTIONS,
+} from './impression.js';
+import {
+  createTrip, getTrip, listTrips, updateTripDetail, deleteTrip,
+  addTripImages, addTripReceipts, deleteTripFile, readTripFile, loadTripPhotos,
+  saveTripArtifact, readTripArtifact, TRIP_ARTIFACTS,
+} from './tripStore.js';
 
 
 const app = express();
-app.use(express.json());
-app.use(cours());
+
+// リクエストID（X-Request-Id があればそれを使う）をレスポンスとその間のログに付け、終わったらアクセスログとメトリクスに記録する
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+// 数秒おきに呼ばれる確認用のパスはアクセスログを debug にする
+const PROBE_PATHS = new Set(['/healthz', '/readyz']);
+app.use((req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+  const startedAt = performance.now();
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const seconds = (performance.now() - startedAt) / 1000;
+    // ルートの定義（/jobs/:id など）でまとめる。どのルートにも当たらなかったものは unmatched
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    recordHttpRequest({ method: req.method, route, status: res.statusCode, seconds });
+    const log = PROBE_PATHS.has(req.path) ? logger.debug : logger.info;
+    log('Request finished', {
+      requestId,
+      clientId: req.apiClient?.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+    });
+  });
+  withLogContext({ requestId }, next);
+});
+// 呼べるオリジンは API キーごとに決める（プリフライトにはキーが無いので、どれかのキーで使えるオリジンなら通す）
+app.use(cours({
+  origin: API_KEYS_ENABLED ? (origin, callback) => callback(null, isOriginAllowedForAnyKey(origin)) : '*',
+  exposedHeaders: ['X-Booklet-Fallbacks', 'X-Booklet-Skipped-Photos', 'Retry-After', 'X-Request-Id'],
+}));
+
+
+//////////////////////////////
+// API キーの認証・回数の上限
+//////////////////////////////
+// API_KEYS_FILE があれば、公開のパス以外はすべて有効な API キーが必要（apiKeys.js）
+// 確認用のパス・Prometheus の /metrics・クライアントが事前の検証に使う /schemas/* はキー無しで呼べる
+const isPublicPath = (path) => PROBE_PATHS.has(path) || path === '/metrics' || path.startsWith('/schemas/');
+app.use((req, res, next) => {
+  if (!API_KEYS_ENABLED || isPublicPath(req.path)) return next();
+  const client = authenticate(readApiKey(req));
+  if (!client) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized: a valid API key is required (X-API-Key header)' });
+  }
+  const origin = req.get('Origin');
+  if (origin && !isOriginAllowed(client, origin)) {
+    return res.status(403).json({ error: `Forbidden: origin ${origin} is not allowed for this API key` });
+  }
+  // req.client は Node の socket の別名なので別の名前にする
+  req.apiClient = client;
+  withLogContext({ clientId: client.id }, next);
+});
+app.use(bindLogContext(express.json()));
+
+// type（booklet / receipt / landmark）の回数を1つ使う。上限を超えていれば 429
+// when を渡すと、それが true のリクエストだけ数える
+const useQuota = (type, when) => (req, res, next) => {
+  if (!req.apiClient || (when && !when(req))) return next();
+  try {
+    req.quotaRefund = consumeQuota(req.apiClient, type);
+  } catch (error) {
+    if (error?.status === 429) return sendTooManyRequests(res, error);
+    return next(error);
+  }
+  next();
+};
+
+// useQuota で使った回数を戻す
+// AI・外部API・ブラウザを呼ぶ前に断ったとき（入力の誤り・描画の待ちがいっぱい）だけ呼ぶ。呼んだあとの失敗は数えたままにする
+function refundQuota(req) {
+  req.quotaRefund?.();
+}
+
+// 管理用の鍵（admin: true）だけ通す
+const requireAdmin = (req, res, next) => {
+  if (API_KEYS_ENABLED && !req.apiClient?.admin) {
+    return res.status(403).json({ error: 'Forbidden: an admin API key is required' });
+  }
+  next();
+};
+
+// 旅行・ジョブは作ったクライアントのものだけ扱える（ほかのクライアントのものは無いものとして 404）
+// 認証しないときはどちらも null なので、すべて扱える
+const ownerOf = (req) => req.apiClient?.id ?? null;
+const isOwnedBy = (resource, req) => (resource.owner ?? null) === ownerOf(req);
+
+// キーごとの使用状況（今日・今の1分の回数、上限、起動してからの合計、上限で断った回数）
+app.get('/admin/usage', requireAdmin, (req, res) => {
+  res.json(getUsage());
+});
 
 
 //////////////////////////////
 // ランドマーク取得エンドポイント
 //////////////////////////////
-app.get('/landmarkData', async (req, res) => {
+app.get('/landmarkData', useQuota('landmark'), async (req, res) => {
   const gpsInfo = req.query.lat && req.query.lon
   ? {
     latitude: req.query.lat,
@@ -27,14 +157,13 @@ app.get('/landmarkData', async (req, res) => {
 
   if (gpsInfo !== null) {
     try {
-      const response = await axios.get(
-        `https://map.yahooapis.jp/placeinfo/V1/get?lat=${gpsInfo.latitude}&lon=${gpsInfo.longitude}&appid=${process.env.YAHOO_API_KEY}&output=json`);
-      res.json(response.data);
+      res.json(await measureStage('landmark', () => fetchPlaceInfo(gpsInfo.latitude, gpsInfo.longitude)));
     } catch (error) {
-      console.error('Error fetching data:', error);
+      logger.error('Error fetching data', { error });
       res.status(500).send('Bad Request: Error fetching data from external API');
     }
   } else {
+    refundQuota(req);
     res.status(400).send('Bad Request: Missing latitude or longitude parameters');
   }
 });
@@ -42,102 +171,140 @@ app.get('/landmarkData', async (req, res) => {
 
 
 //////////////////////////////
-// レシート読取エンドポイント関連
+// 写真メタデータ（EXIF）抽出エンドポイント
 //////////////////////////////
-const uploadReceipt = multer({
+// 1リクエストで受け付ける写真の上限（しおり生成と共通）
+const MAX_BOOKLET_IMAGES = parseInt(process.env.MAX_BOOKLET_IMAGES) || 30;
+const uploadPhotos = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+  limits: { fileSize: 15 * 1024 * 1024, files: MAX_BOOKLET_IMAGES }
 });
-const allowedImageTypes = new Set(['image/jpeg', 'image/png', 'image/webp']);
+const exifImageTypes = new Set(['image/jpeg', 'image/heic', 'image/heif', 'image/webp']);
 
-function parseItemsFromJsonText(text) {
+// resolvePlace=true なら場所名を引く（フォームの値かクエリ）
+const wantsPlaceNames = (req) =>
+  ['true', '1'].includes(String(req.body?.resolvePlace ?? req.query.resolvePlace ?? '').toLowerCase());
+
+// ファイルごとに撮影日時・GPS座標・向きを返す（resolvePlace=true なら場所名も引く）
+app.post('/exif', bindLogContext(uploadPhotos.array('images')), useQuota('landmark', wantsPlaceNames), async (req, res) => {
   try {
-    // Remove Markdown fences if included
-    const cleaned = text.trim().replace(/^```(?:json)?/i, '').replace(/```$/i, '').trim();
-    const data = JSON.parse(cleaned);
+    const files = req.files || [];
+    if (!files.length) {
+      refundQuota(req);
+      return res.status(400).json({ error: 'Bad Request: at least one image is required (field name: images)' });
+    }
+
+    const images = [];
+    for (const file of files) {
+      const entry = {
+        filename: file.originalname,
+        clientId: file.originalname ? file.originalname.replace(/\.[^.]+$/, '') : undefined,
+        mimeType: file.mimetype,
+      };
+      if (!exifImageTypes.has(file.mimetype)) {
+        images.push({ ...entry, error: `unsupported image type (${file.mimetype})` });
+        continue;
+      }
+      images.push({ ...entry, ...(await extractPhotoMetadata(file.buffer)) });
+    }
 
-    if (!data || !Array.isArray(data.items)) {
-      return null;
+    if (wantsPlaceNames(req)) {
+      const located = images.filter(image => image.latitude != null && image.longitude != null);
+      const names = await resolvePlaceNames(located);
+      for (const image of located) {
+        image.placeName = names.get(placeKey(image.latitude, image.longitude)) ?? null;
+      }
     }
 
-    const items = data.items
-      .filter(it => it && typeof it.name === 'string' && (typeof it.amount === 'number' || typeof it.amount === 'string'))
-      .map(it => ({
-        name: it.name.trim(),
-        amount: typeof it.amount === 'number' ? it.amount : Number(String(it.amount).replace(/[^0-9.\-]/g, ''))
-      }))
-      .filter(it => it.name && Number.isFinite(it.amount));
-    const storeNameRaw = data.storeName || data.store || data.shop || data['店舗名'] || data['店名'];
-    const storeName = typeof storeNameRaw === 'string' ? storeNameRaw.trim() : undefined;
-    return items.length ? { items, storeName } : null;
-  } catch {
-    return null;
+    res.json({ images });
+  } catch (error) {
+    logger.error('Error extracting photo metadata', { error });
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+
+
+//////////////////////////////
+// レシート読取エンドポイント関連
+//////////////////////////////
+// 1リクエストで受け付けるレシート画像の上限
+const MAX_RECEIPT_IMAGES = parseInt(process.env.MAX_RECEIPT_IMAGES) || 10;
+const uploadReceipt = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_RECEIPT_IMAGES }
+});
+const allowedImageTypes = new Set(['image/jpeg', 'image/png', 'image/webp']);
+
+// レシート1枚を読み取る（読み取れなければ error を付けて返す）
+async function readReceipt(provider, file) {
+  let details;
+  try {
+    const receipt = normalizeReceipt(await provider.generateJson({
+      prompt: RECEIPT_PROMPT,
+      images: [{ data: file.buffer, mimeType: file.mimetype }],
+      temperature: 0,
+      maxOutputTokens: 10000,
+      task: 'receipt',
+    }));
+    if (receipt) return receipt;
+  } catch (error) {
+    if (error?.code !== 'AI_INVALID_JSON') throw error;
+    details = error.details;
   }
+  return {
+    error: 'failed to extract items from receipt',
+    details: process.env.NODE_ENV !== 'production' ? {
+      finishReason: details?.finishReason,
+      promptFeedback: details?.promptFeedback || null
+    } : undefined
+  };
 }
 
-// レシート読取エンドポイント本体
-app.post('/receipt', uploadReceipt.single('receipt'), async (req, res) => {
+// 所要時間・結果は receipt ステージとして記録する
+const extractReceipt = (provider, file) => measureStage('receipt', () => readReceipt(provider, file));
+
+// レシート読取エンドポイント本体（receipt フィールドに複数枚送れる）
+app.post('/receipt', useQuota('receipt'), bindLogContext(uploadReceipt.array('receipt', MAX_RECEIPT_IMAGES)), async (req, res) => {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: 'Server misconfiguration: GEMINI_API_KEY is not set' });
+    const provider = getTextProvider();
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `Server misconfiguration: ${provider.requiredEnv} is not set` });
     }
 
-    const file = req.file;
-    if (!file) {
+    const files = req.files || [];
+    if (!files.length) {
+      refundQuota(req);
       return res.status(400).json({ error: 'Bad Request: receipt image is required (field name: receipt)' });
     }
-    if (!allowedImageTypes.has(file.mimetype)) {
-      return res.status(400).json({ error: `Bad Request: unsupported image type (${file.mimetype})` });
-    }
-
-    const base64 = file.buffer.toString('base64');
-
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        responseMimeType: 'application/json',
-        temperature: 0,
-        maxOutputTokens: 10000
-      }
-    });
-
-    const prompt = [
-      'レシート画像から、店舗名(storeName) と 商品名・金額(items) を抽出し、JSONのみで出力してください。',
-      'フォーマット例: {"storeName":"◯◯店","items":[{"name":"コーヒー","amount":300}]}',
-      '条件: キーは storeName, items/name/amount。通貨はJPYとして amount は数値(円)。',
-      '余計な文章・説明・コードブロックは一切出力しないこと。'
-    ].join('\n');
-
-    const result = await model.generateContent([
-      { inlineData: { data: base64, mimeType: file.mimetype } },
-      { text: prompt }
-    ]);
-    const resp = result?.response;
-    let text = resp?.text?.() ?? '';
-    if (!text && resp?.candidates?.[0]?.content?.parts) {
-      text = resp.candidates[0].content.parts
-        .map(p => p?.text)
-        .filter(Boolean)
-        .join('')
-        .trim();
+    const unsupported = files.find(file => !allowedImageTypes.has(file.mimetype));
+    if (unsupported) {
+      refundQuota(req);
+      return res.status(400).json({ error: `Bad Request: unsupported image type (${unsupported.mimetype})` });
     }
 
-    const parsed = parseItemsFromJsonText(text);
+    const receipts = await Promise.all(files.map(async (file, index) => ({
+      index,
+      fileName: file.originalname,
+      ...await extractReceipt(provider, file),
+    })));
+    const extracted = receipts.filter(r => !r.error);
 
-    if (!parsed) {
+    if (!extracted.length) {
       return res.status(422).json({
         error: 'Unprocessable Entity: failed to extract items from receipt',
-        details: process.env.NODE_ENV !== 'production' ? {
-          finishReason: resp?.candidates?.[0]?.finishReason,
-          promptFeedback: resp?.promptFeedback || null
-        } : undefined
+        receipts
       });
     }
 
-    return res.status(200).json(parsed);
+    return res.status(200).json({
+      receipts,
+      // detailJson.trip.allowance にそのまま追加できる形
+      allowance: extracted.map(r => r.allowance),
+      mismatches: extracted.filter(r => r.check.matches === false).map(r => r.index),
+    });
   } catch (error) {
-    console.error('Error extracting receipt:', error);
+    logger.error('Error extracting receipt', { error });
     if (error?.status === 400) {
       return res.status(400).json({ error: 'Bad Request' });
     }
@@ -149,191 +316,208 @@ app.post('/receipt', uploadReceipt.single('receipt'), async (req, res) => {
 //////////////////////////////
 // pdf返却エンドポイント関連
 //////////////////////////////
-// openAIクライアント取得
-const openAiClient = new OpenAI();
+// Puppeteer のブラウザはプール（browserPool.js）から借りる。同時に描画する数・待ちの上限もプールで決める
 
-// Puppeteer ブラウザをプロセス内で使い回す
-const browserPromise = puppeteer.launch({
-  args: ['--no-sandbox', '--disable-setuid-sandbox']
-});
-
-// PDF 同時実行を抑制（簡易セマフォ）
-let pdfInFlight = 0;
-const PDF_MAX_CONCURRENCY = 2;
-const waitShort = () => new Promise(r => setTimeout(r, 50));
-async function withPdfSlot(task) {
-  while (pdfInFlight >= PDF_MAX_CONCURRENCY) {
-    await waitShort();
-  }
-  pdfInFlight++;
-  try {
-    return await task();
-  } finally {
-    pdfInFlight--;
-  }
-}
-
-// 表紙取得関数
-async function generateCoverImage(inputImageData) {
-  const prompt =
+// 表紙生成のプロンプト（内容を変えたら COVER_PROMPT_VERSION を上げ、キャッシュを使わないようにする）
+// 表紙の文字は表示言語で書く
+const COVER_PROMPT_VERSION = 2;
+const coverPrompt = (locale) =>
     `#ミッション 
     画像から特徴的な部分を抽出し、以下を生成してください。 
     ・単色の色紙に黒ボールペンで描いたような、小学生の修学旅行のしおり表紙。 
 
     ＃ポイント 
-    ・大きな手書き文字で「修学旅行」と書かれている。 
+    ・大きな手書き文字で「${createTranslator(locale).t('cover.heading')}」と書かれている。 
+    ・文字はすべて${languageName(locale)}で書く。 
     ・子どもの落書き風に、画像の特徴部分と、楽しそうな児童やかわいい動物（くま・うさぎ・とり）を描く。 
     ・生成する画像は短辺:長辺=1:√2となる縦長の画像とすること
     ・線はガタガタで素朴、小学生が描いたようなノートの落書き風。
     `;
 
-  const inputImageBase64 = Buffer.isBuffer(inputImageData)
-    ? inputImageData.toString('base64')
-    : Buffer.from(inputImageData).toString('base64');
-
-  const response = await openAiClient.responses.create({
-    model: "gpt-4o",
-    input: [
-      {
-        role: "user",
-        content: [
-          { type: "input_text", text: prompt },
-          {
-            type: "input_image",
-            image_url: `data:image/jpeg;base64,${inputImageBase64}`,
-          }
-        ],
-      },
-    ],
-    tools: [{ type: "image_generation" }],
+// 表紙のキャッシュキー（元の写真・プロンプトのバージョン・言語・プロバイダ・モデル）
+function coverCacheKey(inputImage, locale) {
+  const provider = getImageProvider();
+  return aiCacheKey({
+    stage: 'cover',
+    version: COVER_PROMPT_VERSION,
+    locale,
+    provider: provider.name,
+    model: provider.model,
+    image: hashData(inputImage.data),
   });
+}
 
-  const imageData = response.output
-    .filter((output) => output.type === "image_generation_call")
-    .map((output) => output.result);
-
-  console.log('GenerateCoverImage Done:');
-
-  if (imageData.length > 0) {
-    const imageBase64 = imageData[0];
-    return imageBase64;
-  } else {
-    throw new Error("Image generation failed");
-  }
+// 表紙取得関数
+async function generateCoverImage(inputImage, locale, signal) {
+  if (!inputImage) throw new Error('No image uploaded for cover generation');
+  const imageBase64 = await getImageProvider().generateImage({
+    prompt: coverPrompt(locale),
+    images: [inputImage],
+    signal,
+    task: 'cover',
+  });
+  return imageBase64;
 }
 
 // HTML文字列からPDFを生成する関数
-async function htmlToPdf(htmlString) {
-  const browser = await browserPromise;
+// pageSize: 1ページの大きさ（mm）。CSS の @page と同じ大きさにする
+// 目次があれば2回PDFにする（1回目で各セクションのページを調べて目次に書き込み、2回目を返す）
+async function htmlToPdf(browser, htmlString, pageSize, signal) {
+  signal?.throwIfAborted();
   const page = await browser.newPage();
   try {
     await page.setContent(htmlString, {
       waitUntil: 'domcontentloaded',
       timeout: 30000
     });
-    const pdfBuffer = await page.pdf({ format: 'A5' });
-    console.log('GeneratePDF Done:');
-    return pdfBuffer;
+    const pdfOptions = {
+      width: `${pageSize.width}mm`,
+      height: `${pageSize.height}mm`,
+      preferCSSPageSize: true,
+    };
+    const sections = await page.$$eval('.toc a[href^="#"]', links => links.map(a => ({
+      id: a.getAttribute('href').slice(1),
+      title: a.textContent.trim(),
+    })));
+    let pdfBuffer = await page.pdf(pdfOptions);
+    if (sections.length) {
+      signal?.throwIfAborted();
+      const pages = await findSectionPages(pdfBuffer, sections.map(s => s.id));
+      await page.$$eval('.toc [data-toc-page]', (cells, pages) => {
+        for (const cell of cells) cell.textContent = pages[cell.dataset.tocPage] ?? '';
+      }, pages);
+      pdfBuffer = await page.pdf(pdfOptions);
+    }
+    return await finishBookletPdf(pdfBuffer, sections);
   } finally {
     try { await page.close(); } catch {}
   }
 }
 
-// 画像生成のタイムアウト付きラッパ
-async function generateCoverImageWithTimeout(inputImageData, timeoutMs = 150000) {
-  console.time('cover');
-  const timer = new Promise((resolve) => setTimeout(() => resolve(null), timeoutMs));
+// HTML文字列からページごとの画像を生成する関数（表紙と各セクションを1枚ずつ。1ページに収まらないセクションは縦に長い画像になる）
+// 画面の表示で撮るので、印刷時と同じ余白・1ページの高さになるよう CSS を足す
+const MM_TO_PX = 96 / 25.4;
+async function htmlToPageImages(browser, htmlString, pageSize, type, signal) {
+  signal?.throwIfAborted();
+  const page = await browser.newPage();
   try {
-    const result = await Promise.race([
-      generateCoverImage(inputImageData),
-      timer
-    ]);
-    return result; // null の場合はフォールバック扱い
+    await page.setViewport({
+      width: Math.round(pageSize.width * MM_TO_PX),
+      height: Math.round(pageSize.height * MM_TO_PX),
+      deviceScaleFactor: 2,
+    });
+    await page.setContent(htmlString, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    await page.emulateMediaType('print');
+    await page.addStyleTag({
+      content: `.section{ margin:0; padding:6px 5mm 10mm; min-height:${pageSize.height}mm; box-sizing:border-box; }`,
+    });
+    const sheets = await page.$$('.container > .page, .container > .section');
+    const pages = [];
+    for (const sheet of sheets) {
+      signal?.throwIfAborted();
+      pages.push(Buffer.from(await sheet.screenshot({ type, ...(type === 'jpeg' ? { quality: 85 } : {}) })));
+    }
+    return { pages, thumbnail: pages.length ? await makeThumbnail(pages[0], type) : null };
   } finally {
-    console.timeEnd('cover');
+    try { await page.close(); } catch {}
   }
 }
 
-const upload = multer({ storage: multer.memoryStorage() }); // メモリ上に保存
-
-// 旅行の感想 生成関数（Gemini）
-async function generateImpression(detailJson) {
-  if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set');
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: 'gemini-2.5-flash',
-    generationConfig: {
-      responseMimeType: 'text/plain',
-      temperature: 0.7,
-      maxOutputTokens: 10000,
-    }
-  });
+const upload = multer({
+  storage: multer.memoryStorage(), // メモリ上に保存
+  limits: { fileSize: 15 * 1024 * 1024 }
+});
 
-  const trip = detailJson.trip;
-  const allowance = trip.allowance;
-  const allowanceTotal = allowance.reduce((sum, a) => sum + (Number(a.total) || 0), 0);
-  const members = trip.members
-    .map(member => `${member.name}${member.role ? `（${member.role}）` : ''}${member.episode ? `（${member.episode}）` : ''}`)
-    .join('、');
-  const hotels = trip.hotels.filter(Boolean).join('、');
-  const places = detailJson.images.map(image => image.placeName).filter(Boolean).join(' → ');
-  const allowanceDetails = allowance
-    .map(a => {
-      const n = a.name;
-      const amount = `${a.amount}円`;
-      return n ? `${n}(${amount})` : amount;
-    })
+// 感想のプロンプト（テンプレートは prompts/ のファイル。impression.js で組み立てる）
+// 全体の感想なら1つ、班員ごとの作文なら班員の数だけ
+const impressionPrompts = (detailJson, options, locale) => (options.mode === 'members'
+  ? buildMemberEssayPrompts(detailJson, options, locale)
+  : [buildImpressionPrompt(detailJson, options, locale)]);
 
-  const prompt = [
-    'あなたは小学6年生です。これから、学校の「旅行のしおり」にのせる短い感想文を書きます。',
-    '下のデータだけを使って、作り話はせず、300〜500文字で日本語の感想を書いてください。',
-    '短めの文で、やさしい言葉を中心に、前向きな気持ちが伝わるようにします。段落を2〜4つに分けてください。',
-    '',
-    '[旅行データの要約（入力から作成）]',
-    `${trip.purpose ? "・目的: " + trip.purpose : ''}`,
-    `・期間: ${trip.startDate} 〜 ${trip.endDate}`,
-    `${hotels.length ? "・宿泊先: " + hotels : ''}`,
-    `・参加メンバー: ${members}`,
-    `${places ? '・主な訪問地: ' + places : ''}`,
-    `・おこづかいメモ: 合計 ${allowanceTotal} 円、主な内訳 ${allowanceDetails}`,
-    '',
-    '[元データ（そのまま）]',
-    JSON.stringify(detailJson, null, 2),
-    '',
-    '出力は本文のみを書き、タイトルは不要です。'
-  ].join('\n');
+// 感想のキャッシュキー（プロンプトに旅行データと書き方の指定が入るので、テンプレートのバージョン・プロンプト・プロバイダ・モデル）
+function impressionCacheKey(detailJson, options, locale) {
+  const provider = getTextProvider();
+  return aiCacheKey({
+    stage: 'impression',
+    mode: options.mode,
+    provider: provider.name,
+    model: provider.model,
+    prompts: impressionPrompts(detailJson, options, locale).map(p => [p.template, p.version, p.prompt]),
+  });
+}
 
-  const result = await model.generateContent([{ text: prompt }]);
-  const resp = result?.response;
-  let text = resp?.text?.() ?? '';
-  if (!text && resp?.candidates?.[0]?.content?.parts) {
-    text = resp.candidates[0].content.parts
-      .map(p => p?.text)
-      .filter(Boolean)
-      .join('')
-      .trim();
-  }
-  return (text || '').trim();
+// 旅行の感想 生成関数（テキスト生成プロバイダ）
+// mode が members なら班員ごとの作文 {name, text}[]、それ以外は感想の文字列を返す（locale の言語で書く）
+async function generateImpression(detailJson, options, locale, signal) {
+  const provider = getTextProvider();
+  const prompts = impressionPrompts(detailJson, options, locale);
+  const texts = await Promise.all(prompts.map(p => provider.generateText({
+    prompt: p.prompt,
+    temperature: 0.7,
+    maxOutputTokens: 10000,
+    signal,
+    task: p.template,
+    input: options.mode === 'members' ? { detail: detailJson, member: p.name } : detailJson,
+  })));
+  if (options.mode !== 'members') return texts[0];
+  return prompts.map((p, i) => ({ name: p.name, text: texts[i] })).filter(essay => essay.text);
 }
 
 // 日程生成関数
 /**
- * Generate itinerary using Gemini API
+ * 行程を作る。グループ化・JST変換・30分単位の丸め・重複除去はローカル（itinerary.js）で行い、
+ * AI は mode に応じて場所名を整える（beautify）か、行程全体を作る（llm）ときだけ使う
+ * AI の出力は入力の場所・日付と突き合わせて検証し、不正なら例外にする（呼び出し側でローカルの行程に戻す）
  * @param {Array<{dateTime: string, placeName: string}>} inputList
+ * @param {'local'|'beautify'|'llm'} mode
+ * @param {AbortSignal} [signal] キャンセル用シグナル
  * @returns {Promise<{days: {date: string, details: {startTime: string, place: string}[]}[]}>}
  */
-const generateIntinerary = async (inputList) => {
-  if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set');
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({
-    model: 'gemini-2.5-flash',
-    generationConfig: {
-      responseMimeType: 'application/json',
+const generateIntinerary = async (inputList, mode, signal) => {
+  const localItinerary = buildItinerary(inputList);
+  if (mode === 'local') return localItinerary;
+  if (mode === 'llm') return generateLlmItinerary(inputList, signal);
+
+  const originals = Array.from(new Set(
+    localItinerary.days.flatMap(day => day.details.map(d => d.place)).filter(p => p !== UNKNOWN_PLACE)
+  ));
+  if (!originals.length) return localItinerary;
+
+  const prompt = [
+    '以下は旅行の訪問先の名前です。しおりに載せるため、正式で読みやすい名前に整えてください。',
+    '出力は必ず次の構造のJSON形式で返してください。キーは入力の名前をそのまま使います。',
+    '[出力例]',
+    '{ "names": { "東京タワー展望台入口": "東京タワー", "sensoji": "浅草寺" } }',
+    '[入力リスト]',
+    JSON.stringify(originals, null, 2),
+    '[制約]',
+    '- 別の場所に置き換えたり、入力に無い場所を足したりしないでください。',
+    '- 直す必要がない名前はそのまま返してください。',
+    '- JSONのみを出力し、余計な説明やテキストは一切含めないでください。',
+  ].join('\n');
+
+  let parsed;
+  try {
+    parsed = await getTextProvider().generateJson({
+      prompt,
       temperature: 0,
-      maxOutputTokens: 16384,
-    }
-  });
+      maxOutputTokens: 4096,
+      signal,
+      task: 'placeNames',
+      input: originals,
+    });
+  } catch (e) {
+    if (e?.code !== 'AI_INVALID_JSON') throw e;
+    throw new Error('AIからの応答のパースに失敗しました: ' + e.details.text);
+  }
+  return renamePlaces(localItinerary, validatePlaceNames(parsed, originals));
+};
 
+// 行程全体をAIに作らせる（出力は検証し、入力に無い場所・日付を含むなら例外）
+async function generateLlmItinerary(inputList, signal) {
   // Prompt (English variable names, Japanese instructions)
   const prompt = [
     '以下のsightseeing placesリストから、dateTimeの日にちごとにグループ化した一日の行程を作成してください。',
@@ -347,71 +531,966 @@ const generateIntinerary = async (inputList) => {
     '- details各項目のstartTimeはdateTimeの時間から1時間以内にしてください。',
     '- details各項目のstartTimeはJST（UTC+9）で出力してください。',
     '- details各項目のstartTimeは30分区切りの時間を出力してください（例: 09:00, 13:30, 15:30, 18:00 など）',
+    '- placeは入力リストのplaceNameをそのまま使ってください。',
     '- JSONのみを出力し、余計な説明やテキストは一切含めないでください。',
   ].join('\n');
 
-  const result = await model.generateContent([{ text: prompt }]);
-  const resp = result?.response;
-  let text = resp?.text?.() ?? '';
-  if (!text && resp?.candidates?.[0]?.content?.parts) {
-    text = resp.candidates[0].content.parts
-      .map(p => p?.text)
-      .filter(Boolean)
-      .join('')
-      .trim();
-  }
-  // JSONパース
+  let parsed;
   try {
-    const parsed = JSON.parse(text.trim().replace(/^```(?:json)?/i, '').replace(/```$/i, '').trim());
-    return parsed;
+    parsed = await getTextProvider().generateJson({
+      prompt,
+      temperature: 0,
+      maxOutputTokens: 16384,
+      signal,
+      task: 'itinerary',
+      input: inputList,
+    });
   } catch (e) {
-    throw new Error('Gemini APIからの応答のパースに失敗しました: ' + text);
+    if (e?.code !== 'AI_INVALID_JSON') throw e;
+    throw new Error('AIからの応答のパースに失敗しました: ' + e.details.text);
+  }
+  const validation = validateItinerary(parsed, inputList);
+  if (!validation.valid) {
+    throw new Error('AIが返した行程が入力と一致しません: ' + JSON.stringify(validation.errors.slice(0, 5)));
   }
+  return parsed;
+}
+
+// 生成ステージごとのタイムアウト・再試行・失敗時の代替値
+// metadata: null → EXIF による補完をせず detailJson をそのまま使う
+// photos: [] → アルバムを載せない
+// cover: null → generateHtmlFromJson が旅行データから表紙を描く（localCover.js）
+// itinerary: AI を使わずに組み立てた行程（generateBooklet 内で入力ごとに差し替える）
+// impression: '' → 感想セクションを出さない（班員ごとの作文も出さない）
+const STAGE_POLICIES = {
+  metadata: { timeoutMs: 60000, retries: 0, fallback: () => null },
+  photos: { retries: 0, fallback: () => [] },
+  itinerary: { timeoutMs: 60000, retries: 1 },
+  cover: { timeoutMs: 150000, retries: 0, fallback: () => null },
+  impression: { timeoutMs: 60000, retries: 1, fallback: () => '' },
+  imposition: { timeoutMs: 60000, retries: 0 },
+  images: { timeoutMs: 120000, retries: 0 },
+  epub: { timeoutMs: 60000, retries: 0 },
 };
 
-  // 本番用pdf返却エンドポイント
-app.post(`/`, upload.fields([
-  { name: 'images', maxCount: 10 },
+// 出力形式・面付けの指定で実行するステージ（進み具合の分母にする）
+function plannedStages(options) {
+  const { needs } = OUTPUT_FORMATS[options.format];
+  const optional = {
+    pdf: needs.includes('pdf'),
+    imposition: needs.includes('pdf') && options.imposition === 'saddle',
+    images: needs.includes('images'),
+    epub: needs.includes('epub'),
+  };
+  return JOB_STAGES.filter(name => optional[name] ?? true);
+}
+
+// しおり生成のジョブを登録する（input は generateBooklet の第1引数、owner は登録したクライアントの id）
+const createBookletJob = (input, owner) =>
+  createJob(ctx => generateBooklet(input, ctx), { stages: plannedStages(input.options), owner });
+
+// しおり生成処理本体（ジョブとして実行される）
+// 出力形式（options.format）に必要なもの（PDF・ページの画像・EPUB）だけ作り、outputs.js の buildOutput に渡す形で返す
+// stored: 保存済みの生成物（cover / impression / itinerary）。あるものは AI を呼ばずにそのまま使う
+// artifacts: 渡されていれば生成した itinerary / cover / impression を入れて返す（旅行への保存用）
+async function generateBooklet({ detailObj: uploadedDetail, photos, options, stored = {}, artifacts }, { signal, stage, reuse }) {
+  // 写真の EXIF で撮影日時・座標・場所名など足りない項目を補う（縮小で EXIF が消えるため先に読む）
+  // 場所名の検索は landmark の回数では数えない（しおりの booklet の1回に含める）
+  const detailObj = await stage('metadata', (stageSignal) =>
+    enrichDetailFromPhotos(uploadedDetail, photos, { signal: stageSignal }), STAGE_POLICIES.metadata)
+    ?? uploadedDetail;
+  // 写真はアルバム用に縮小し、表紙生成にも縮小版を使う
+  const albumPhotos = await stage('photos', (stageSignal) =>
+    prepareAlbumPhotos(photos, stageSignal), STAGE_POLICIES.photos);
+  const coverSource = albumPhotos.find(photo => photo.index === 0) ?? photos[0] ?? null;
+  // 読めずにアルバムから外した写真（HEIC など sharp で読めない形式）。ジョブ状態の skippedPhotos で知らせる
+  const preparedIndexes = new Set(albumPhotos.map(photo => photo.index));
+  const skippedPhotos = photos
+    .filter(photo => !preparedIndexes.has(photo.index))
+    .map(photo => ({ index: photo.index, fileName: photo.fileName ?? null, mimeType: photo.mimeType }));
+
+  const reuseOr = (name, run) => (stored[name] !== undefined ? reuse(name, stored[name]) : run());
+  // 表紙・感想は入力・プロンプトのバージョン・モデルが同じならキャッシュを使う（regenerate で指定したものは作り直す）
+  const cachedOr = async (name, key, decode, run) => {
+    if (key && !options.regenerate.has(name)) {
+      const hit = await readAiCache(key);
+      if (hit) return reuse(name, decode(hit), 'cached');
+    }
+    return run();
+  };
+  const coverKey = options.cover === 'ai' && coverSource ? coverCacheKey(coverSource, options.locale) : null;
+  const impressionKey = impressionCacheKey(detailObj, options.impression, options.locale);
+
+  // AI を使う3ステージは互いに独立なので並列に実行する
+  const [intineraryData, coverImage, impressionText] = await Promise.all([
+    reuseOr('itinerary', () => stage('itinerary', (stageSignal) =>
+      generateIntinerary(detailObj.images ? detailObj.images : [], options.itinerary, stageSignal), {
+      ...STAGE_POLICIES.itinerary,
+      fallback: () => buildItinerary(detailObj.images),
+    })),
+    reuseOr('cover', () => cachedOr('cover', coverKey, (data) => data.toString('base64'), () =>
+      stage('cover', async (stageSignal) => {
+        if (options.cover === 'local') return null;
+        const image = await generateCoverImage(coverSource, options.locale, stageSignal);
+        await writeAiCache(coverKey, Buffer.from(image, 'base64'));
+        return image;
+      }, STAGE_POLICIES.cover))),
+    reuseOr('impression', () => cachedOr('impression', impressionKey, (data) => JSON.parse(data.toString('utf8')), () =>
+      stage('impression', async (stageSignal) => {
+        const impression = await generateImpression(detailObj, options.impression, options.locale, stageSignal);
+        if (impression.length) await writeAiCache(impressionKey, JSON.stringify(impression));
+        return impression;
+      }, STAGE_POLICIES.impression))),
+  ]);
+  if (artifacts) {
+    Object.assign(artifacts, { itinerary: intineraryData, cover: coverImage, impression: impressionText });
+  }
+  const generatedHtml = await stage('html', async () =>
+    generateHtmlFromJson(detailObj, coverImage, intineraryData, impressionText, {
+      coverTemplate: options.coverTemplate,
+      coverPhoto: options.coverPhoto ? coverSource : null,
+      photos: options.album ? albumPhotos : [],
+      albumLayout: options.albumLayout,
+      pageSize: options.pageSize,
+      theme: options.theme,
+      locale: options.locale,
+    }));
+
+  const { needs, imageType } = OUTPUT_FORMATS[options.format];
+  const result = { format: options.format, html: generatedHtml, skippedPhotos };
+  if (needs.includes('pdf')) {
+    result.pdf = await stage('pdf', (stageSignal) =>
+      runInBrowser((browser) => htmlToPdf(browser, generatedHtml, options.pageSize, stageSignal), stageSignal));
+    // 中綴じの面付け（指定が無ければステージは skipped のまま）
+    if (options.imposition === 'saddle') {
+      result.pdf = await stage('imposition', () =>
+        imposeSaddleStitch(result.pdf, { sheet: options.impositionSheet }), STAGE_POLICIES.imposition);
+    }
+  }
+  if (needs.includes('images')) {
+    Object.assign(result, { imageType }, await stage('images', (stageSignal) =>
+      runInBrowser((browser) => htmlToPageImages(browser, generatedHtml, options.pageSize, imageType, stageSignal), stageSignal),
+    STAGE_POLICIES.images));
+  }
+  if (needs.includes('epub')) {
+    result.epub = await stage('epub', () => htmlToEpub(generatedHtml), STAGE_POLICIES.epub);
+  }
+  return result;
+}
+
+// 400 で返すエラー（body をそのままレスポンスにする）
+function badRequestError(body) {
+  const error = new Error(body.error);
+  error.status = 400;
+  error.body = body;
+  return error;
+}
+
+// detailJson 不正時のエラー（body にフィールドごとのエラー）
+function invalidDetailError(errors, version = LATEST_DETAIL_SCHEMA_VERSION) {
+  return badRequestError({
+    error: 'Bad Request: invalid detailJson',
+    schema: `/schemas/detailJson/v${version}`,
+    errors
+  });
+}
+
+// detailJson をスキーマと換算レートで検証する（不正なら invalidDetailError を投げる）
+function assertValidDetail(detailObj) {
+  const validation = validateDetailJson(detailObj);
+  if (!validation.valid) {
+    throw invalidDetailError(validation.errors, validation.version);
+  }
+  const currencyErrors = findUnconvertibleCurrencies(detailObj.trip);
+  if (currencyErrors.length) {
+    throw invalidDetailError(currencyErrors, validation.version);
+  }
+}
+
+// 感想の書き手に指定した班員が旅行データにいるか確かめる
+function assertImpressionMember(options, detailObj) {
+  const { persona, member } = options.impression;
+  if (persona === 'member' && !impressionMembers(detailObj).some(m => m.name === member)) {
+    throw badRequestError({
+      error: 'Bad Request: invalid options',
+      errors: [{ path: 'impressionMember', message: `must be one of trip.members[].name: ${member}` }]
+    });
+  }
+}
+
+// 生成オプション（multipart のテキストフィールド、なければクエリ文字列から読む）
+// locale: しおりの言語（'ja'（既定）| 'en' など。src/locales のカタログ）。AIが書く表紙の文字・感想もこの言語にする
+// theme: しおりのテーマ（GET /themes の一覧から選ぶ。既定: classic）
+// paperSize: しおりの1ページの用紙（A4 / A5（既定）/ B5 / B6 / Letter）、orientation: 'portrait'（既定）| 'landscape'
+// imposition: 'none'（既定）| 'saddle'（中綴じ用に impositionSheet の用紙へ2ページずつ面付けする）
+// impositionSheet: 面付けの用紙（A4 / B4。既定: B5 のしおりは B4、それ以外は A4）
+// cover: 'ai'（既定。DEFAULT_COVER で変えられる）| 'local'（AIを使わず描いた表紙にする）
+// coverTemplate: 描いた表紙のテンプレート
+// coverPhoto: 'true' なら描いた表紙のフレームに1枚目の写真を入れる
+// album: 'false' なら写真アルバムを載せない
+// albumLayout: アルバムのレイアウト（auto は枚数に応じて選ぶ）
+// itinerary: 'beautify'（既定: ローカルで組み立て、AIで場所名を整える）| 'local'（AIを使わない）| 'llm'（AIが組み立て、検証して使う）
+// impression: 'summary'（既定: 旅行全体の感想）| 'members'（班員ごとの作文を1ページずつ）
+// impressionPersona: 'student'（既定）| 'member'（impressionMember の班員として書く）| 'teacher'（先生のまとめ）
+// impressionGrade / impressionLength / impressionTone / impressionParagraphs: 学年・目安の文字数・トーン・段落数
+// regenerate: キャッシュ・保存済みの結果を使わずに作り直すもの（カンマ区切り。all ならすべて）
+// format: 出力形式（outputs.js の OUTPUT_FORMATS。指定が無ければ Accept ヘッダで選び、当てはまらなければ pdf）
+const REGENERATABLE_STAGES = ['cover', 'impression', 'itinerary'];
+function parseBookletOptions(req) {
+  const param = (name) => req.body?.[name] ?? req.query[name];
+  const flag = (name, fallback) => {
+    const v = param(name);
+    return v === undefined ? fallback : ['true', '1'].includes(String(v).toLowerCase());
+  };
+  const errors = [];
+
+  const format = param('format') ?? ACCEPT_FORMATS[req.accepts(Object.keys(ACCEPT_FORMATS))] ?? DEFAULT_OUTPUT_FORMAT;
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    errors.push({ path: 'format', message: `must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+  }
+
+  const theme = param('theme') ?? DEFAULT_THEME;
+  if (!THEMES.includes(theme)) {
+    errors.push({ path: 'theme', message: `must be one of: ${THEMES.join(', ')}` });
+  }
+
+  // 用紙サイズ・向き・面付け（用紙名の大文字・小文字は区別しない）
+  const sizeName = (name, sizes, fallback) => {
+    const v = param(name);
+    if (v === undefined || v === '') return fallback;
+    const found = Object.keys(sizes).find(key => key.toLowerCase() === String(v).toLowerCase());
+    if (!found) errors.push({ path: name, message: `must be one of: ${Object.keys(sizes).join(', ')}` });
+    return found ?? fallback;
+  };
+  const paperSize = sizeName('paperSize', PAPER_SIZES, DEFAULT_PAPER_SIZE);
+  const orientation = param('orientation') ?? 'portrait';
+  if (!ORIENTATIONS.includes(orientation)) {
+    errors.push({ path: 'orientation', message: `must be one of: ${ORIENTATIONS.join(', ')}` });
+  }
+  const imposition = param('imposition') ?? 'none';
+  if (!IMPOSITION_MODES.includes(imposition)) {
+    errors.push({ path: 'imposition', message: `must be one of: ${IMPOSITION_MODES.join(', ')}` });
+  }
+  const impositionSheet = sizeName('impositionSheet', IMPOSITION_SHEETS, defaultImpositionSheet(paperSize));
+  const pageSize = pageSizeOf(paperSize, orientation);
+
+  const cover = param('cover') ?? DEFAULT_COVER;
+  if (!COVER_MODES.includes(cover)) {
+    errors.push({ path: 'cover', message: `must be one of: ${COVER_MODES.join(', ')}` });
+  }
+  const coverTemplate = param('coverTemplate') ?? DEFAULT_COVER_TEMPLATE;
+  if (!COVER_TEMPLATES.includes(coverTemplate)) {
+    errors.push({ path: 'coverTemplate', message: `must be one of: ${COVER_TEMPLATES.join(', ')}` });
+  }
+  const coverPhoto = flag('coverPhoto', false);
+  const album = flag('album', true);
+  const albumLayout = param('albumLayout') ?? 'auto';
+  if (!ALBUM_LAYOUTS.includes(albumLayout)) {
+    errors.push({ path: 'albumLayout', message: `must be one of: ${ALBUM_LAYOUTS.join(', ')}` });
+  }
+
+  const locale = param('locale') ?? DEFAULT_LOCALE;
+  if (!LOCALES.includes(locale)) {
+    errors.push({ path: 'locale', message: `must be one of: ${LOCALES.join(', ')}` });
+  }
+
+  const itinerary = param('itinerary') ?? 'beautify';
+  if (!['beautify', 'local', 'llm'].includes(itinerary)) {
+    errors.push({ path: 'itinerary', message: 'must be one of: beautify, local, llm' });
+  }
+
+  // 感想の書き方
+  const intParam = (name, { min, max }, fallback) => {
+    const v = param(name);
+    if (v === undefined || v === '') return fallback;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push({ path: name, message: `must be an integer between ${min} and ${max}` });
+    }
+    return n;
+  };
+  const impression = {
+    mode: param('impression') ?? DEFAULT_IMPRESSION_OPTIONS.mode,
+    persona: param('impressionPersona') ?? DEFAULT_IMPRESSION_OPTIONS.persona,
+    grade: intParam('impressionGrade', IMPRESSION_GRADES, DEFAULT_IMPRESSION_OPTIONS.grade),
+    member: param('impressionMember') ?? DEFAULT_IMPRESSION_OPTIONS.member,
+    length: intParam('impressionLength', IMPRESSION_LENGTHS, DEFAULT_IMPRESSION_OPTIONS.length),
+    tone: param('impressionTone') ?? DEFAULT_IMPRESSION_OPTIONS.tone,
+    paragraphs: intParam('impressionParagraphs', IMPRESSION_PARAGRAPHS, DEFAULT_IMPRESSION_OPTIONS.paragraphs),
+  };
+  if (!IMPRESSION_MODES.includes(impression.mode)) {
+    errors.push({ path: 'impression', message: `must be one of: ${IMPRESSION_MODES.join(', ')}` });
+  }
+  if (!IMPRESSION_PERSONAS.includes(impression.persona)) {
+    errors.push({ path: 'impressionPersona', message: `must be one of: ${IMPRESSION_PERSONAS.join(', ')}` });
+  }
+  if (impression.persona === 'member' && !impression.member) {
+    errors.push({ path: 'impressionMember', message: 'is required when impressionPersona is member' });
+  }
+  if (!Object.hasOwn(IMPRESSION_TONES, impression.tone)) {
+    errors.push({ path: 'impressionTone', message: `must be one of: ${Object.keys(IMPRESSION_TONES).join(', ')}` });
+  }
+
+  const rawRegenerate = param('regenerate');
+  const regenerateNames = (Array.isArray(rawRegenerate) ? rawRegenerate : String(rawRegenerate ?? '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (regenerateNames.some(name => name !== 'all' && !REGENERATABLE_STAGES.includes(name))) {
+    errors.push({ path: 'regenerate', message: `must be a comma-separated list of: all, ${REGENERATABLE_STAGES.join(', ')}` });
+  }
+  const regenerate = new Set(regenerateNames.includes('all') ? REGENERATABLE_STAGES : regenerateNames);
+
+  if (errors.length) {
+    throw badRequestError({ error: 'Bad Request: invalid options', errors });
+  }
+  return { format, locale, theme, paperSize, orientation, pageSize, imposition, impositionSheet, cover, coverTemplate, coverPhoto, album, albumLayout, itinerary, impression, regenerate };
+}
+
+// ブラウザで描画する形式（PDF・ページの画像）のとき、描画の待ちがいっぱいなら受け付けない（status 429 の Error）
+function assertRenderCapacity(options) {
+  const { needs } = OUTPUT_FORMATS[options.format];
+  if (!needs.includes('pdf') && !needs.includes('images')) return;
+  const { full, retryAfter } = checkBrowserQueue();
+  if (full) {
+    const error = new Error('Too Many Requests: browser queue is full');
+    error.status = 429;
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+}
+
+// 429 の応答（Retry-After は秒数）
+function sendTooManyRequests(res, error) {
+  res.set('Retry-After', String(error.retryAfter ?? 1));
+  return res.status(429).json({ error: error.message, retryAfter: error.retryAfter ?? 1 });
+}
+
+// multipartリクエストから生成処理の入力を取り出す（AI呼び出し前にスキーマ検証する）
+function parseBookletRequest(req) {
+  const requestFiles = req.files || {};
+  let detailObj = {};
+  if (requestFiles.detailJson) {
+    try {
+      detailObj = JSON.parse(requestFiles.detailJson[0].buffer.toString());
+    } catch {
+      throw invalidDetailError([{ path: '/', message: 'detailJson is not valid JSON' }]);
+    }
+  }
+  assertValidDetail(detailObj);
+  // clientId はファイル名（拡張子なし）として受け取る
+  const photos = (requestFiles.images || []).map((file, index) => ({
+    data: file.buffer,
+    mimeType: file.mimetype,
+    fileName: file.originalname,
+    clientId: file.originalname ? file.originalname.replace(/\.[^.]+$/, '') : undefined,
+    index,
+  }));
+  const options = parseBookletOptions(req);
+  assertImpressionMember(options, detailObj);
+  return { detailObj, photos, options };
+}
+
+const bookletUpload = bindLogContext(upload.fields([
+  { name: 'images', maxCount: MAX_BOOKLET_IMAGES },
   { name: `detailJson`, maxCount: 1 }
-]), async (req, res) => {
+]));
+
+// detailJson スキーマ配布エンドポイント（クライアント側の事前検証用）
+app.get('/schemas/detailJson', (req, res) => {
+  res.redirect(`/schemas/detailJson/v${LATEST_DETAIL_SCHEMA_VERSION}`);
+});
+app.get('/schemas/detailJson/:version', (req, res) => {
+  const schema = getDetailSchema(Number(String(req.params.version).replace(/^v/, '')));
+  if (!schema) {
+    return res.status(404).json({ error: 'Not Found: unknown schema version' });
+  }
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+// テーマのスキーマ（THEMES_DIR に置くテーマを書く用）
+app.get('/schemas/theme', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(getThemeSchema(), null, 2));
+});
+
+// 選べるテーマの一覧（名前・説明は locale の言語）
+app.get('/themes', (req, res) => {
+  const locale = LOCALES.includes(req.query.locale) ? req.query.locale : DEFAULT_LOCALE;
+  res.json({ default: DEFAULT_THEME, themes: listThemes(locale) });
+});
+
+// 割り勘の精算エンドポイント（印刷前にアプリで確認する用。JSON の detailJson を受け取る）
+app.post('/settlement', (req, res) => {
+  const detailObj = req.body ?? {};
+  try {
+    assertValidDetail(detailObj);
+  } catch (error) {
+    if (error?.status === 400) return res.status(400).json(error.body);
+    throw error;
+  }
+  res.json(computeSettlement(detailObj.trip));
+});
+
+// ジョブ投入エンドポイント（すぐにジョブIDを返す）
+app.post('/jobs', useQuota('booklet'), bookletUpload, (req, res) => {
+  let input;
+  try {
+    input = parseBookletRequest(req);
+    assertRenderCapacity(input.options);
+  } catch (error) {
+    refundQuota(req);
+    if (error?.status === 400) return res.status(400).json(error.body);
+    if (error?.status === 429) return sendTooManyRequests(res, error);
+    throw error;
+  }
+  const job = createBookletJob(input, ownerOf(req));
+  res.status(202).location(`/jobs/${job.id}`).json(toJobStatus(job));
+});
+
+// 呼んだクライアントのジョブ（無い・期限切れ・ほかのクライアントのものなら undefined）
+function findJob(req) {
+  const job = getJob(req.params.id);
+  return job && isOwnedBy(job, req) ? job : undefined;
+}
+
+// ジョブ状態取得エンドポイント
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found: job does not exist or has expired' });
+  }
+  res.json(toJobStatus(job));
+});
+
+// 進捗の配信（Server-Sent Events）
+// 最初に今の状態（status）、ステージが始まる・終わるたびに stage、ジョブが終わったら done（出力・PDF の URL を含むジョブの状態）を送って閉じる
+const SSE_HEARTBEAT_MS = 15000;
+const wantsEventStream = (req) => /\btext\/event-stream\b/.test(req.get('Accept') || '');
+
+function streamJobEvents(res, job) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    // プロキシ（nginx）にためこませない
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', toJobStatus(job));
+  const unsubscribe = subscribeJob(job, event => send('stage', event));
+  // 途中のプロキシに切られないよう、しばらく何も無ければコメント行を送る
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const stop = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  };
+  res.on('close', stop);
+  job.done.then(() => {
+    stop();
+    if (res.writableEnded || res.destroyed) return;
+    send('done', toJobStatus(job));
+    res.end();
+  });
+}
+
+// ジョブの進捗の配信エンドポイント（接続を切ってもジョブは止めない）
+app.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found: job does not exist or has expired' });
+  }
+  streamJobEvents(res, job);
+});
+
+// 完了したジョブを取得する（無い・未完了ならエラーを返して undefined）
+function findSucceededJob(req, res) {
+  const job = findJob(req);
+  if (!job) {
+    res.status(404).json({ error: 'Not Found: job does not exist or has expired' });
+    return undefined;
+  }
+  if (job.status !== 'succeeded') {
+    res.status(409).json({ error: `Conflict: job is ${job.status}`, job: toJobStatus(job) });
+    return undefined;
+  }
+  return job;
+}
+
+// 生成結果に添えるヘッダ
+function setBookletHeaders(res, job) {
+  // 代替値で済ませたステージ（例: "cover,impression"）
+  res.set('X-Booklet-Fallbacks', getFallbackStages(job).join(','));
+  // 読めずにアルバムから外した写真のアップロード順の番号（0始まり。例: "2,5"）
+  res.set('X-Booklet-Skipped-Photos', job.result.skippedPhotos.map(photo => photo.index).join(','));
+}
+
+// 生成結果を出力形式のファイルにして返す（HTML はそのまま表示できるよう inline）
+function sendBookletOutput(res, job) {
+  const output = buildOutput(job.result);
+  setBookletHeaders(res, job);
+  res.set('Content-disposition', `${job.result.format === 'html' ? 'inline' : 'attachment'}; filename="${output.fileName}"`);
+  res.type(output.mimeType).send(output.data);
+}
+
+// 生成済みPDF取得エンドポイント（PDFを作らない出力形式なら 404）
+app.get('/jobs/:id/pdf', (req, res) => {
+  const job = findSucceededJob(req, res);
+  if (!job) return;
+  if (!job.result.pdf) {
+    return res.status(404).json({ error: 'Not Found: job did not produce a PDF' });
+  }
+  setBookletHeaders(res, job);
+  res.set('Content-disposition', 'attachment; filename="shiori.pdf"');
+  res.contentType("application/pdf");
+  res.send(job.result.pdf);
+});
+
+// 生成結果取得エンドポイント（ジョブ投入時の format の形式）
+app.get('/jobs/:id/output', (req, res) => {
+  const job = findSucceededJob(req, res);
+  if (job) sendBookletOutput(res, job);
+});
+
+// ページごとの画像（format が png / jpeg / zip のとき。1始まり）と表紙のサムネイル
+app.get('/jobs/:id/pages/:page', (req, res) => {
+  const job = findSucceededJob(req, res);
+  if (!job) return;
+  const image = job.result.pages?.[Number(req.params.page) - 1];
+  if (!image) {
+    return res.status(404).json({ error: 'Not Found: page image does not exist' });
+  }
+  res.type(job.result.imageType).send(image);
+});
+app.get('/jobs/:id/thumbnail', (req, res) => {
+  const job = findSucceededJob(req, res);
+  if (!job) return;
+  if (!job.result.thumbnail) {
+    return res.status(404).json({ error: 'Not Found: thumbnail does not exist' });
+  }
+  res.type(job.result.imageType).send(job.result.thumbnail);
+});
+
+// ジョブキャンセルエンドポイント
+app.delete('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found: job does not exist or has expired' });
+  }
+  res.json(toJobStatus(cancelJob(job.id)));
+});
+
+// 本番用しおり返却エンドポイント（ジョブの完了を待って同期的に返す。形式は format か Accept ヘッダ）
+// Accept: text/event-stream なら完成したものの代わりに進捗を配信し、最後の done に出力・PDF の URL を入れる
+app.post(`/`, useQuota('booklet'), bookletUpload, async (req, res) => {
   try {
     // このルートは重い可能性があるためレスポンスのタイムアウトを延長
     res.setTimeout(180000);
+    res.vary('Accept');
+
+    let input;
+    try {
+      input = parseBookletRequest(req);
+      assertRenderCapacity(input.options);
+    } catch (error) {
+      refundQuota(req);
+      throw error;
+    }
+    const job = createBookletJob(input, ownerOf(req));
+    // クライアントが切断したらジョブも止める
+    res.on('close', () => {
+      if (!res.writableFinished) cancelJob(job.id);
+    });
+    if (wantsEventStream(req)) return streamJobEvents(res, job);
+    await job.done;
+    if (job.status !== 'succeeded') {
+      // 描画の待ちがいっぱいで失敗したときは 429 で返す
+      throw job.cause?.status === 429 ? job.cause : new Error(job.error || `Job ${job.status}`);
+    }
 
-    const requestFiles = req.files;
-
-    console.time('html');
-    const detailObj = requestFiles.detailJson ? JSON.parse(requestFiles.detailJson[0].buffer.toString()) : {};
-    const intineraryData = await generateIntinerary(detailObj.images ? detailObj.images : []);
-    const coverImage = await generateCoverImageWithTimeout(
-      requestFiles.images && requestFiles.images[0] ? requestFiles.images[0].buffer : null
-    );
-    const impressionText = await generateImpression(detailObj);
-    const generatedHtml = generateHtmlFromJson(detailObj, coverImage, intineraryData, impressionText);
-    console.timeEnd('html');
-
-    console.time('pdf');
-    const pdfData = await withPdfSlot(() => htmlToPdf(generatedHtml));
-    console.timeEnd('pdf');
-
-    res.set('Content-disposition', 'attachment; filename="shiori.pdf"');
-    res.contentType("application/pdf");
-    res.send(pdfData);
+    sendBookletOutput(res, job);
   } catch (error) { 
-    console.error('Error processing data:', error);
-    res.status(500).send('Bad Request: Error processing data');
+    if (error?.status === 400) {
+      return res.status(400).json(error.body);
+    }
+    if (error?.status === 429) {
+      return sendTooManyRequests(res, error);
+    }
+    logger.error('Error processing data', { error });
+    if (!res.headersSent) {
+      res.status(500).send('Bad Request: Error processing data');
+    }
   }
 });
 
 
+//////////////////////////////
+// 旅行データ保存エンドポイント
+//////////////////////////////
+// 保存済みの旅行（詳細・写真・レシート・生成物）を返す形
+function toTripResponse(meta) {
+  const base = `/trips/${meta.id}`;
+  return {
+    id: meta.id,
+    createdAt: meta.createdAt,
+    updatedAt: meta.updatedAt,
+    detail: meta.detail,
+    images: meta.images.map(image => ({ ...image, url: `${base}/images/${image.id}` })),
+    receipts: meta.receipts.map(receipt => ({ ...receipt, url: `${base}/receipts/${receipt.id}` })),
+    artifacts: Object.fromEntries(Object.entries(meta.artifacts).map(([name, artifact]) => [name, {
+      ...artifact,
+      url: `${base}/artifacts/${name}`,
+    }])),
+    generateUrl: `${base}/generate`,
+  };
+}
+
+// 旅行エンドポイント共通のエラー応答
+function sendTripError(res, error) {
+  if (error?.status === 400) {
+    return res.status(400).json(error.body ?? { error: `Bad Request: ${error.message}` });
+  }
+  if (error?.status === 404) {
+    return res.status(404).json({ error: `Not Found: ${error.message}` });
+  }
+  if (error?.status === 429) {
+    return sendTooManyRequests(res, error);
+  }
+  logger.error('Error handling trip', { error });
+  return res.status(500).json({ error: 'Internal Server Error' });
+}
+
+// detailJson を JSON の本文、または multipart の detailJson フィールドから読む
+function readDetailFromRequest(req) {
+  const file = req.files?.detailJson?.[0];
+  if (!file) return req.is('application/json') ? (req.body ?? {}) : {};
+  try {
+    return JSON.parse(file.buffer.toString());
+  } catch {
+    throw invalidDetailError([{ path: '/', message: 'detailJson is not valid JSON' }]);
+  }
+}
+
+const toStoredFile = (file) => ({ data: file.buffer, mimeType: file.mimetype, fileName: file.originalname });
+
+function assertImageFiles(files) {
+  const unsupported = files.find(file => !file.mimetype.startsWith('image/'));
+  if (unsupported) {
+    throw badRequestError({ error: `Bad Request: unsupported image type (${unsupported.mimetype})` });
+  }
+}
+
+// 行程の元になる入力（写真の情報・写真・作り方）が同じかを見るためのキー
+function itineraryInputKey(meta, options) {
+  return createHash('sha256')
+    .update(JSON.stringify([meta.detail?.images ?? [], meta.images.map(image => image.id), options.itinerary]))
+    .digest('hex');
+}
+
+// 再利用できる保存済みの生成物を読み込む
+// cover: 同じ写真・言語で作ったものだけ / itinerary: 入力が変わっていないものだけ
+// impression: 書き方の指定と言語が同じなら（旅行データを直していても）そのまま
+// （言語を記録する前に保存したものは既定の言語で作ったものとみなす）
+async function loadReusableArtifacts(meta, options) {
+  const { regenerate } = options;
+  const stored = {};
+  const saved = meta.artifacts;
+  const sameLocale = (artifact) => (artifact?.locale ?? DEFAULT_LOCALE) === options.locale;
+  if (!regenerate.has('cover') && options.cover === 'ai' && saved.cover?.sourceImageId === meta.images[0]?.id && sameLocale(saved.cover)) {
+    const data = await readTripArtifact(meta, 'cover');
+    if (data) stored.cover = data.toString('base64');
+  }
+  if (!regenerate.has('impression') && JSON.stringify(saved.impression?.options) === JSON.stringify(options.impression) && sameLocale(saved.impression)) {
+    const data = await readTripArtifact(meta, 'impression');
+    if (data) stored.impression = JSON.parse(data.toString('utf8'));
+  }
+  if (!regenerate.has('itinerary') && saved.itinerary?.inputKey === itineraryInputKey(meta, options)) {
+    const data = await readTripArtifact(meta, 'itinerary');
+    if (data) stored.itinerary = JSON.parse(data.toString('utf8'));
+  }
+  return stored;
+}
+
+// ジョブの終了後、新しく作った生成物を旅行に保存する（代替値・再利用したものは保存しない）
+// PDF の生成に失敗しても、作れた表紙・感想・行程は次回に使えるよう保存する
+async function saveGeneratedArtifacts(meta, job, artifacts, options) {
+  const generated = (name) => job.stages[name]?.status === 'done';
+  if (generated('cover') && artifacts.cover) {
+    await saveTripArtifact(meta.id, 'cover', Buffer.from(artifacts.cover, 'base64'), {
+      sourceImageId: meta.images[0]?.id,
+      locale: options.locale,
+    });
+  }
+  if (generated('impression') && artifacts.impression?.length) {
+    await saveTripArtifact(meta.id, 'impression', JSON.stringify(artifacts.impression), {
+      options: options.impression,
+      locale: options.locale,
+    });
+  }
+  if (generated('itinerary') && artifacts.itinerary) {
+    await saveTripArtifact(meta.id, 'itinerary', JSON.stringify(artifacts.itinerary, null, 2), {
+      inputKey: itineraryInputKey(meta, options),
+    });
+  }
+  if (job.status === 'succeeded') {
+    // 出力形式に応じて作ったもの（PDF・HTML・EPUB）を保存する
+    for (const name of ['pdf', 'html', 'epub']) {
+      if (job.result[name]) await saveTripArtifact(meta.id, name, job.result[name], { jobId: job.id });
+    }
+  }
+}
+
+// 旅行の一覧（呼んだクライアントのものだけ）
+app.get('/trips', async (req, res) => {
+  try {
+    const trips = await listTrips();
+    res.json({ trips: trips.filter(meta => isOwnedBy(meta, req)).map(toTripResponse) });
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 旅行の作成（JSON の detailJson、または multipart の detailJson と images）
+app.post('/trips', bookletUpload, async (req, res) => {
+  try {
+    const detail = readDetailFromRequest(req);
+    assertValidDetail(detail);
+    const images = req.files?.images || [];
+    assertImageFiles(images);
+    const meta = await createTrip({ detail, images: images.map(toStoredFile), owner: ownerOf(req) });
+    res.status(201).location(`/trips/${meta.id}`).json(toTripResponse(meta));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// /trips/:id 以下は呼んだクライアントの旅行のときだけ通す（アップロードを読む前に断る）
+app.use('/trips/:id', async (req, res, next) => {
+  try {
+    const meta = await getTrip(req.params.id);
+    if (!isOwnedBy(meta, req)) return res.status(404).json({ error: 'Not Found: trip does not exist' });
+  } catch (error) {
+    return sendTripError(res, error);
+  }
+  next();
+});
+
+// 旅行の取得
+app.get('/trips/:id', async (req, res) => {
+  try {
+    res.json(toTripResponse(await getTrip(req.params.id)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 旅行データ（detailJson）の置き換え（写真・レシート・生成物は残す）
+app.put('/trips/:id', bookletUpload, async (req, res) => {
+  try {
+    const detail = readDetailFromRequest(req);
+    assertValidDetail(detail);
+    res.json(toTripResponse(await updateTripDetail(req.params.id, detail)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 旅行の削除
+app.delete('/trips/:id', async (req, res) => {
+  try {
+    await deleteTrip(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 写真の追加・取得・削除
+app.post('/trips/:id/images', bindLogContext(uploadPhotos.array('images')), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ error: 'Bad Request: images are required (field name: images)' });
+    }
+    assertImageFiles(files);
+    await addTripImages(req.params.id, files.map(toStoredFile), MAX_BOOKLET_IMAGES);
+    res.status(201).json(toTripResponse(await getTrip(req.params.id)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+app.get('/trips/:id/images/:imageId', async (req, res) => {
+  try {
+    const { info, data } = await readTripFile(req.params.id, 'images', req.params.imageId);
+    res.type(info.mimeType).send(data);
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+app.delete('/trips/:id/images/:imageId', async (req, res) => {
+  try {
+    res.json(toTripResponse(await deleteTripFile(req.params.id, 'images', req.params.imageId)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// レシートの追加（読み取って保存する。addToAllowance=true なら allowance にも追加）・取得・削除
+app.post('/trips/:id/receipts', useQuota('receipt'), bindLogContext(uploadReceipt.array('receipt', MAX_RECEIPT_IMAGES)), async (req, res) => {
+  try {
+    const meta = await getTrip(req.params.id);
+    const provider = getTextProvider();
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `Server misconfiguration: ${provider.requiredEnv} is not set` });
+    }
+    const files = req.files || [];
+    if (!files.length) {
+      refundQuota(req);
+      return res.status(400).json({ error: 'Bad Request: receipt image is required (field name: receipt)' });
+    }
+    const unsupported = files.find(file => !allowedImageTypes.has(file.mimetype));
+    if (unsupported) {
+      refundQuota(req);
+      return res.status(400).json({ error: `Bad Request: unsupported image type (${unsupported.mimetype})` });
+    }
+
+    const results = await Promise.all(files.map(file => extractReceipt(provider, file)));
+    await addTripReceipts(meta.id, files.map((file, i) => ({ ...toStoredFile(file), result: results[i] })));
+    const entries = results.filter(r => !r.error).map(r => r.allowance);
+    if (entries.length && ['true', '1'].includes(String(req.body?.addToAllowance ?? req.query.addToAllowance).toLowerCase())) {
+      await updateTripDetail(meta.id, (detail) => {
+        const trip = detail.trip ?? {};
+        return { ...detail, trip: { ...trip, allowance: [...(Array.isArray(trip.allowance) ? trip.allowance : []), ...entries] } };
+      });
+    }
+    res.status(201).json(toTripResponse(await getTrip(meta.id)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+app.get('/trips/:id/receipts/:receiptId', async (req, res) => {
+  try {
+    const { info, data } = await readTripFile(req.params.id, 'receipts', req.params.receiptId);
+    res.type(info.mimeType).send(data);
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+app.delete('/trips/:id/receipts/:receiptId', async (req, res) => {
+  try {
+    res.json(toTripResponse(await deleteTripFile(req.params.id, 'receipts', req.params.receiptId)));
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 生成物（cover / impression / itinerary / pdf / html / epub）の取得
+app.get('/trips/:id/artifacts/:name', async (req, res) => {
+  try {
+    const meta = await getTrip(req.params.id);
+    const artifact = TRIP_ARTIFACTS[req.params.name];
+    const data = artifact ? await readTripArtifact(meta, req.params.name) : null;
+    if (!data) {
+      return res.status(404).json({ error: 'Not Found: artifact does not exist' });
+    }
+    if (artifact.download) {
+      res.set('Content-disposition', `attachment; filename="${artifact.file}"`);
+    }
+    res.type(artifact.mimeType).send(data);
+  } catch (error) {
+    sendTripError(res, error);
+  }
+});
+
+// 保存した内容からしおりを作り直す（ジョブとして実行し、すぐにジョブIDを返す）
+// 保存済みの表紙・感想・行程は再利用する（regenerate で作り直す対象を指定できる）
+app.post('/trips/:id/generate', useQuota('booklet'), async (req, res) => {
+  try {
+    const meta = await getTrip(req.params.id);
+    const options = parseBookletOptions(req);
+    assertValidDetail(meta.detail);
+    assertImpressionMember(options, meta.detail);
+    assertRenderCapacity(options);
+    const photos = await loadTripPhotos(meta);
+    const stored = await loadReusableArtifacts(meta, options);
+    const artifacts = {};
+    const job = createBookletJob({ detailObj: meta.detail, photos, options, stored, artifacts }, ownerOf(req));
+    job.done
+      .then(() => saveGeneratedArtifacts(meta, job, artifacts, options))
+      .catch(error => logger.error('Failed to save artifacts of trip', { tripId: meta.id, error }));
+    res.status(202).location(`/jobs/${job.id}`).json({ ...toJobStatus(job), tripId: meta.id });
+  } catch (error) {
+    // ジョブを作る前（旅行・オプションの誤り、描画の待ちがいっぱい）に断ったので数えない
+    refundQuota(req);
+    sendTripError(res, error);
+  }
+});
+
+
+//////////////////////////////
+// 稼働確認・受け付け可否の確認
+//////////////////////////////
+app.get('/healthz', (req, res) => {
+  res.json(getLiveness());
+});
+
+// 準備ができていなければ 503（各確認の結果は checks に入れる）
+app.get('/readyz', async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    res.status(503).json({ ready: false, status: 'not_ready', error: error?.message || String(error) });
+  }
+});
+
+
+//////////////////////////////
+// メトリクス（Prometheus 形式）
+//////////////////////////////
+registerGauge('browser_queue_depth', 'Renders waiting for a free browser', () => getBrowserPoolStats().queued);
+registerGauge('browser_busy', 'Browsers currently rendering', () => getBrowserPoolStats().busy);
+registerGauge('browser_pool_size', 'Configured number of browsers', () => getBrowserPoolStats().size);
+registerGauge('jobs_in_progress', 'Queued or running booklet jobs', countActiveJobs);
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+
+// アップロードの誤り（ファイルが多すぎる・大きすぎる・知らないフィールド）は 400
+app.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) return next(error);
+  refundQuota(req);
+  res.status(400).json({ error: `Bad Request: ${error.message}${error.field ? ` (field name: ${error.field})` : ''}` });
+});
+
+
 //////////////////////////////
 // サーバ起動
 //////////////////////////////
 const port = parseInt(process.env.PORT) || 8080;
 const server = app.listen(port, () => {
-  console.log(`Start on port ${port}`);
+  logger.info('Server started', { port });
 });
 // タイムアウト設定（インフラ側でも適切に調整すること）
 server.headersTimeout = 120000; // ヘッダ読み取り上限
 server.requestTimeout = 0;      // 全体リクエストのタイムアウト無効化（プロキシ側で制御）
 server.keepAliveTimeout = 60000;
+
+// 終了シグナルで新しいリクエストの受け付けをやめ、描画中のものを待ってからブラウザを閉じて終了する
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+  server.close();
+  server.closeIdleConnections();
+  try {
+    await closeBrowserPool();
+  } catch (error) {
+    logger.error('Error closing browser pool', { error });
+  }
+  process.exit(0);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,186 @@
+import { toValidDate, formatJstIsoDate, formatJstTime } from './dateFormat.js';
+
+// 写真の撮影日時・場所から行程（日ごとの訪問先一覧）を組み立てる
+// AIを使わず、同じ入力からは必ず同じ行程になる
+
+const SLOT_MINUTES = 30;
+// 同じ場所での連続撮影とみなす間隔・距離
+const BURST_MINUTES = 30;
+const BURST_METERS = 100;
+
+export const UNKNOWN_DATE = '日付不明';
+export const UNKNOWN_PLACE = '（場所不明）';
+
+const normalizePlace = (s) => String(s ?? '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+
+// 2点間の距離（m）
+function distanceMeters(a, b) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+const hasCoords = (v) => typeof v.latitude === 'number' && typeof v.longitude === 'number';
+
+// 直前の訪問と同じ場所での連続撮影か
+function isSameSpot(prev, next) {
+  if (next.ts - prev.lastTs > BURST_MINUTES * 60 * 1000) return false;
+  if (prev.key && next.key) return prev.key === next.key;
+  return hasCoords(prev) && hasCoords(next) && distanceMeters(prev, next) <= BURST_METERS;
+}
+
+// JSTの時刻を30分単位に切り捨てる（例: 10:10 → 10:00）
+function toSlot(d) {
+  const [h, m] = formatJstTime(d).split(':').map(Number);
+  const slot = Math.floor(m / SLOT_MINUTES) * SLOT_MINUTES;
+  return `${String(h).padStart(2, '0')}:${String(slot).padStart(2, '0')}`;
+}
+
+/**
+ * 行程を組み立てる
+ * - JSTの日付ごとにまとめ、撮影時刻 → 入力順に並べる
+ * - 同じ場所（同名、または名前が無ければ100m以内）で30分以内に続いた撮影は1つの訪問にまとめる
+ * - 同じ場所への連続した訪問は1つにまとめる
+ * - 開始時刻は JST の30分単位に切り捨てる
+ * - 撮影日時の無い写真は「日付不明」の日にまとめる（時刻も場所も無いものは除く）
+ * @param {Array<{dateTime?: string, placeName?: string, latitude?: number, longitude?: number}>} inputList detailJson.images
+ * @returns {{days: {date: string, details: {startTime: string, place: string}[]}[]}}
+ */
+export function buildItinerary(inputList) {
+  const list = Array.isArray(inputList) ? inputList : [];
+  const days = new Map();
+  const undated = [];
+
+  const photos = list.map((item, index) => {
+    const d = toValidDate(typeof item?.dateTime === 'string' ? item.dateTime : null);
+    const place = typeof item?.placeName === 'string' ? item.placeName.trim() : '';
+    return {
+      d, place, index,
+      key: place ? normalizePlace(place) : '',
+      ts: d ? d.getTime() : null,
+      latitude: item?.latitude,
+      longitude: item?.longitude,
+    };
+  }).filter(p => p.d || p.place);
+
+  photos
+    .filter(p => p.d)
+    .sort((a, b) => (a.ts - b.ts) || (a.index - b.index))
+    .forEach(p => {
+      const date = formatJstIsoDate(p.d);
+      if (!days.has(date)) days.set(date, []);
+      const visits = days.get(date);
+      const prev = visits[visits.length - 1];
+      if (prev && (isSameSpot(prev, p) || (prev.key && prev.key === p.key))) {
+        // まとめる: 開始時刻は最初の写真、名前は最初に分かったもの
+        prev.lastTs = p.ts;
+        if (!prev.place && p.place) {
+          prev.place = p.place;
+          prev.key = p.key;
+        }
+        if (!hasCoords(prev) && hasCoords(p)) {
+          prev.latitude = p.latitude;
+          prev.longitude = p.longitude;
+        }
+        return;
+      }
+      visits.push({ ...p, lastTs: p.ts, startTime: toSlot(p.d) });
+    });
+
+  for (const p of photos.filter(p => !p.d)) {
+    if (undated.some(u => u.key === p.key)) continue;
+    undated.push(p);
+  }
+
+  const result = Array.from(days.keys()).sort().map(date => ({
+    date,
+    details: days.get(date).map(v => ({ startTime: v.startTime, place: v.place || UNKNOWN_PLACE })),
+  }));
+  if (undated.length) {
+    result.push({
+      date: UNKNOWN_DATE,
+      details: undated.map(p => ({ startTime: '', place: p.place })),
+    });
+  }
+  return { days: result };
+}
+
+/**
+ * LLM が返した行程を入力と突き合わせて検証する
+ * 形式（days / date / details / startTime / place）に加え、入力に無い日付・場所が無いかを確かめる
+ * @param {any} candidate LLM の出力
+ * @param {object[]} inputList 行程の元にした detailJson.images
+ * @returns {{valid: boolean, errors: {path: string, message: string}[]}}
+ */
+export function validateItinerary(candidate, inputList) {
+  const errors = [];
+  const list = Array.isArray(inputList) ? inputList : [];
+  const places = new Set(list.map(item => normalizePlace(item?.placeName)).filter(Boolean));
+  const dates = new Set(list
+    .map(item => toValidDate(typeof item?.dateTime === 'string' ? item.dateTime : null))
+    .filter(Boolean)
+    .map(formatJstIsoDate));
+
+  if (!candidate || !Array.isArray(candidate.days)) {
+    return { valid: false, errors: [{ path: '/days', message: 'must be array' }] };
+  }
+  candidate.days.forEach((day, i) => {
+    const path = `/days/${i}`;
+    if (!day || typeof day.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day.date)) {
+      errors.push({ path: `${path}/date`, message: 'must be a YYYY-MM-DD string' });
+    } else if (!dates.has(day.date)) {
+      errors.push({ path: `${path}/date`, message: `date not in input: ${day.date}` });
+    }
+    if (!Array.isArray(day?.details)) {
+      errors.push({ path: `${path}/details`, message: 'must be array' });
+      return;
+    }
+    day.details.forEach((detail, j) => {
+      const m = typeof detail?.startTime === 'string' && detail.startTime.match(/^(\d{2}):(\d{2})$/);
+      if (!m || Number(m[1]) > 23 || Number(m[2]) % SLOT_MINUTES !== 0) {
+        errors.push({ path: `${path}/details/${j}/startTime`, message: `must be HH:MM in ${SLOT_MINUTES}-minute slots` });
+      }
+      if (typeof detail?.place !== 'string' || !places.has(normalizePlace(detail.place))) {
+        errors.push({ path: `${path}/details/${j}/place`, message: `place not in input: ${detail?.place}` });
+      }
+    });
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * LLM が返した場所名の言い換え（元の名前 → 整えた名前）を検証し、使えるものだけを返す
+ * 入力に無い場所のキー、空・長すぎる名前は捨てる
+ * @param {any} candidate LLM の出力（{ names: { [original]: string } }）
+ * @param {string[]} originals 元の場所名
+ * @param {number} [maxLength]
+ * @returns {Map<string, string>}
+ */
+export function validatePlaceNames(candidate, originals, maxLength = 40) {
+  const names = new Map();
+  const source = candidate?.names && typeof candidate.names === 'object' ? candidate.names : {};
+  const allowed = new Set(originals);
+  for (const [original, renamed] of Object.entries(source)) {
+    if (!allowed.has(original) || typeof renamed !== 'string') continue;
+    const trimmed = renamed.trim();
+    if (!trimmed || trimmed.length > maxLength) continue;
+    names.set(original, trimmed);
+  }
+  return names;
+}
+
+/**
+ * 行程の場所名を置き換える（元の行程は変更しない）
+ * @param {{days: object[]}} itinerary
+ * @param {Map<string, string>} names
+ */
+export function renamePlaces(itinerary, names) {
+  return {
+    days: itinerary.days.map(day => ({
+      ...day,
+      details: day.details.map(d => ({ ...d, place: names.get(d.place) ?? d.place })),
+    })),
+  };
+}
@@ -0,0 +1,323 @@
+import { randomUUID } from 'node:crypto';
+
+import { logger, withLogContext } from './logger.js';
+import { recordJob, recordStage, recordStageAttemptError } from './metrics.js';
+
+// 生成ジョブのステージ一覧（itinerary / cover / impression は並列に進む。imposition は面付けを指定したときだけ、
+// pdf / images / epub は出力形式に必要なときだけ）
+export const JOB_STAGES = ['metadata', 'photos', 'itinerary', 'cover', 'impression', 'html', 'pdf', 'imposition', 'images', 'epub'];
+
+// 完了したジョブを保持する時間（既定30分）
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS) || 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// プロセス内のジョブ一覧（id → job）
+const jobs = new Map();
+
+/**
+ * ステージごとの実行ポリシー
+ * @typedef {object} StagePolicy
+ * @property {number} [timeoutMs] 1回の試行のタイムアウト
+ * @property {number} [retries] 失敗時の再試行回数
+ * @property {number} [retryDelayMs] 再試行までの待ち時間（試行回数に比例して延ばす）
+ * @property {() => any} [fallback] すべて失敗したときの代替値を返す関数。無ければジョブ全体を失敗にする
+ */
+
+/**
+ * ジョブを登録し、バックグラウンドで task を実行する
+ * @param {(ctx: {signal: AbortSignal, stage: (name: string, fn: (signal: AbortSignal) => Promise<any>, policy?: StagePolicy) => Promise<any>, reuse: (name: string, value: any, status?: 'reused'|'cached') => any}) => Promise<object>} task
+ *   生成処理本体。ctx.stage でステージごとの進捗を記録する。保存済み・キャッシュの結果を使うステージは ctx.reuse で記録する
+ * @param {{stages?: string[], owner?: string|null}} [options] stages: 実行する予定のステージ（進み具合の分母。既定は JOB_STAGES すべて）
+ *   / owner: ジョブを登録したクライアントの id（認証しないときは null）
+ * @returns {object} 登録したジョブ
+ */
+export function createJob(task, { stages: plannedStages = JOB_STAGES, owner = null } = {}) {
+  const now = Date.now();
+  const job = {
+    id: randomUUID(),
+    status: 'queued', // queued | running | succeeded | failed | cancelled
+    stages: Object.fromEntries(JOB_STAGES.map(name => [name, { status: 'pending' }])),
+    createdAt: now,
+    finishedAt: null,
+    expiresAt: null,
+    error: null,
+    cause: null,
+    result: null,
+    controller: new AbortController(),
+    plannedStages,
+    owner,
+    // ステージが始まる・終わるたびに呼ぶ関数（subscribeJob で登録する）
+    listeners: new Set(),
+  };
+
+  const stage = async (name, fn, policy = {}) => {
+    const jobSignal = job.controller.signal;
+    jobSignal.throwIfAborted();
+    const s = job.stages[name] || (job.stages[name] = { status: 'pending' });
+    s.status = 'running';
+    s.startedAt = Date.now();
+    s.attempts = 0;
+    try {
+      const retries = policy.retries ?? 0;
+      for (;;) {
+        s.attempts++;
+        notify(job, name);
+        try {
+          const value = await runAttempt(fn, policy.timeoutMs, jobSignal);
+          s.status = 'done';
+          s.error = null;
+          return value;
+        } catch (e) {
+          jobSignal.throwIfAborted();
+          s.error = e?.message || String(e);
+          recordStageAttemptError(name);
+          if (s.attempts > retries) throw e;
+          logger.warn('Stage attempt failed, retrying', { stage: name, attempt: s.attempts, error: e });
+          await delay((policy.retryDelayMs ?? 1000) * s.attempts, jobSignal);
+        }
+      }
+    } catch (e) {
+      if (jobSignal.aborted) {
+        s.status = 'cancelled';
+        throw e;
+      }
+      if (!policy.fallback) {
+        s.status = 'failed';
+        throw e;
+      }
+      s.status = 'fallback';
+      return policy.fallback();
+    } finally {
+      s.finishedAt = Date.now();
+      recordStage(name, s.status, (s.finishedAt - s.startedAt) / 1000, s.error ? { error: s.error } : {});
+      notify(job, name);
+    }
+  };
+
+  // 保存済み（reused）・キャッシュ（cached）の結果をそのまま使う（ステージは実行しない）
+  const reuse = (name, value, status = 'reused') => {
+    job.controller.signal.throwIfAborted();
+    const now = Date.now();
+    job.stages[name] = { status, attempts: 0, startedAt: now, finishedAt: now };
+    recordStage(name, status, 0);
+    notify(job, name);
+    return value;
+  };
+
+  // レスポンスを返してから実行を始める（ジョブの中のログには jobId を付ける）
+  job.done = withLogContext({ jobId: job.id }, () => new Promise(resolve => setImmediate(resolve))
+    .then(async () => {
+      job.controller.signal.throwIfAborted();
+      job.status = 'running';
+      const result = await task({ signal: job.controller.signal, stage, reuse });
+      job.controller.signal.throwIfAborted();
+      job.result = result;
+      job.status = 'succeeded';
+    })
+    .catch(error => {
+      if (job.controller.signal.aborted) {
+        job.status = 'cancelled';
+        return;
+      }
+      logger.error('Job failed', { error });
+      job.status = 'failed';
+      job.error = error?.message || String(error);
+      // 失敗の原因（status などを見て応答を変える用。クライアントには返さない）
+      job.cause = error;
+    })
+    .finally(() => finish(job)));
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+// ステージの状態が変わったことを購読しているものに知らせる
+function notify(job, name) {
+  if (!job.listeners.size) return;
+  const event = toStageEvent(job, name);
+  for (const listener of job.listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.warn('Job listener failed', { error });
+    }
+  }
+}
+
+// 1回分の試行。タイムアウトかジョブのキャンセルで fn に渡したシグナルを中断する
+async function runAttempt(fn, timeoutMs, jobSignal) {
+  const controller = new AbortController();
+  const onJobAbort = () => controller.abort(jobSignal.reason);
+  jobSignal.addEventListener('abort', onJobAbort, { once: true });
+  const timer = timeoutMs
+    ? setTimeout(() => controller.abort(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs)
+    : null;
+  // fn がシグナルを見ない場合でも中断時点で打ち切る
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  try {
+    return await Promise.race([fn(controller.signal), aborted]);
+  } finally {
+    clearTimeout(timer);
+    jobSignal.removeEventListener('abort', onJobAbort);
+  }
+}
+
+// 待ち終わったら abort のリスナーも外す（再試行のたびにジョブのシグナルへ溜まらないように）
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function finish(job) {
+  job.finishedAt = job.finishedAt ?? Date.now();
+  recordJob(job.status);
+  logger.info('Job finished', { status: job.status, durationMs: job.finishedAt - job.createdAt });
+  job.expiresAt = job.finishedAt + JOB_TTL_MS;
+  for (const s of Object.values(job.stages)) {
+    if (s.status === 'pending' || s.status === 'running') {
+      s.status = job.status === 'cancelled' ? 'cancelled' : 'skipped';
+    }
+  }
+}
+
+/**
+ * 実行待ち・実行中のジョブの数
+ * @returns {number}
+ */
+export function countActiveJobs() {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (job.status === 'queued' || job.status === 'running') count++;
+  }
+  return count;
+}
+
+/**
+ * ステージが始まる・終わる（done / fallback / failed / cancelled / reused / cached）たびに listener を呼ぶ
+ * 再試行のときは attempts を増やして始まりをもう一度知らせる。ジョブ自体の終わりは job.done で待つ
+ * @param {object} job
+ * @param {(event: object) => void} listener toStageEvent の形を受け取る
+ * @returns {() => void} 購読をやめる関数
+ */
+export function subscribeJob(job, listener) {
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * ジョブを取得する（期限切れ・存在しない場合は undefined）
+ * @param {string} id
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  if (job && isExpired(job)) {
+    jobs.delete(id);
+    return undefined;
+  }
+  return job;
+}
+
+/**
+ * ジョブをキャンセルする。完了済みのジョブはそのまま返す
+ * @param {string} id
+ * @returns {object|undefined} 対象ジョブ
+ */
+export function cancelJob(id) {
+  const job = getJob(id);
+  if (!job) return undefined;
+  if (job.status === 'queued' || job.status === 'running') {
+    job.controller.abort(new Error('Job cancelled'));
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+  }
+  return job;
+}
+
+/**
+ * クライアント返却用のジョブ状態
+ * @param {object} job
+ */
+export function toJobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stages: Object.fromEntries(Object.entries(job.stages).map(([name, s]) => [name, toStageStatus(s)])),
+    progress: getProgress(job),
+    fallbacks: getFallbackStages(job),
+    // 読めずにアルバムから外した写真（{ index, fileName, mimeType }）
+    skippedPhotos: job.result?.skippedPhotos ?? [],
+    error: job.error,
+    createdAt: iso(job.createdAt),
+    finishedAt: iso(job.finishedAt),
+    expiresAt: iso(job.expiresAt),
+    statusUrl: `/jobs/${job.id}`,
+    format: job.result?.format ?? null,
+    outputUrl: job.status === 'succeeded' ? `/jobs/${job.id}/output` : null,
+    pdfUrl: job.result?.pdf ? `/jobs/${job.id}/pdf` : null,
+    pageImageUrls: (job.result?.pages ?? []).map((_, i) => `/jobs/${job.id}/pages/${i + 1}`),
+    thumbnailUrl: job.result?.thumbnail ? `/jobs/${job.id}/thumbnail` : null,
+  };
+}
+
+/**
+ * ステージの状態が変わったときの通知（進捗の配信用）
+ * @param {object} job
+ * @param {string} name ステージ名
+ */
+export function toStageEvent(job, name) {
+  return { jobId: job.id, stage: name, ...toStageStatus(job.stages[name]), progress: getProgress(job) };
+}
+
+const iso = (t) => (t ? new Date(t).toISOString() : null);
+
+function toStageStatus(s) {
+  return {
+    status: s.status,
+    attempts: s.attempts ?? 0,
+    error: s.error ?? null,
+    startedAt: iso(s.startedAt),
+    finishedAt: iso(s.finishedAt),
+    durationMs: s.startedAt && s.finishedAt ? s.finishedAt - s.startedAt : null,
+  };
+}
+
+// 実行する予定のステージのうち終わったもの（結果は問わない）の数
+function getProgress(job) {
+  const completed = job.plannedStages
+    .filter(name => !['pending', 'running'].includes(job.stages[name]?.status ?? 'pending'))
+    .length;
+  return { completed, total: job.plannedStages.length };
+}
+
+/**
+ * 代替値で済ませたステージ名の一覧
+ * @param {object} job
+ * @returns {string[]}
+ */
+export function getFallbackStages(job) {
+  return Object.entries(job.stages)
+    .filter(([, s]) => s.status === 'fallback')
+    .map(([name]) => name);
+}
+
+function isExpired(job) {
+  return job.expiresAt !== null && job.expiresAt <= Date.now();
+}
+
+// 期限切れジョブの掃除（プロセス終了を妨げない）
+setInterval(() => {
+  for (const [id, job] of jobs) {
+    if (isExpired(job)) jobs.delete(id);
+  }
+}, SWEEP_INTERVAL_MS).unref();
@@ -0,0 +1,205 @@
+import { formatRange } from './dateFormat.js';
+import { createTranslator } from './i18n.js';
+
+// AIを使わずに描く表紙（手描き風SVG）
+// 画像生成が失敗・タイムアウトした場合や、写真が無い場合の表紙として使う
+
+export const COVER_TEMPLATES = ['crayon', 'notebook', 'stamp'];
+export const DEFAULT_COVER_TEMPLATE = 'crayon';
+
+// 表紙の作り方（ai: 写真から画像を生成 / local: AIを使わずここで描く）の既定。DEFAULT_COVER で変えられる
+// local のデプロイでは画像生成のプロバイダを使わない前提にする（readyz でも確かめない）
+export const COVER_MODES = ['ai', 'local'];
+export const DEFAULT_COVER = process.env.DEFAULT_COVER || 'ai';
+if (!COVER_MODES.includes(DEFAULT_COVER)) {
+  throw new Error(`Unknown DEFAULT_COVER: ${DEFAULT_COVER} (available: ${COVER_MODES.join(', ')})`);
+}
+
+// A5縦（mm）をそのまま viewBox にする（ほかの用紙サイズには拡大・縮小して合わせる）
+const W = 148;
+const H = 210;
+
+const esc = (s) => String(s)
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+// 区切り文字で連結しつつ、1行 maxChars 文字程度で折り返す
+function wrapItems(items, maxChars, sep = '・') {
+  const lines = [];
+  let line = '';
+  for (const item of items) {
+    const next = line ? `${line}${sep}${item}` : item;
+    if (line && next.length > maxChars) {
+      lines.push(line);
+      line = item;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// 幅 maxWidth に収まる文字サイズ（全角1文字 = 1em、半角 = 0.6em で見積もる）
+function fitSize(text, size, maxWidth) {
+  const ems = Array.from(text).reduce((sum, ch) => sum + (ch.charCodeAt(0) > 0xff ? 1 : 0.6), 0);
+  return ems * size > maxWidth ? Math.floor((maxWidth / ems) * 10) / 10 : size;
+}
+
+// 複数行テキスト（中央揃え）
+function textLines(lines, { x = W / 2, y, size, gap = 1.5, anchor = 'middle', cls = 'hand' }) {
+  return lines.map((line, i) =>
+    `<text x="${x}" y="${y + i * size * gap}" font-size="${size}" text-anchor="${anchor}" class="${cls}">${esc(line)}</text>`
+  ).join('');
+}
+
+// 表紙に載せる情報を旅行データから集める
+function collectCoverData(detail, locale) {
+  const { t } = createTranslator(locale);
+  const trip = detail?.trip || {};
+  const unique = (arr) => Array.from(new Set(arr));
+  const places = unique((Array.isArray(detail?.images) ? detail.images : [])
+    .map(image => image?.placeName)
+    .filter(p => typeof p === 'string' && p.trim())
+    .map(p => p.trim()));
+  const members = (Array.isArray(trip.members) ? trip.members : [])
+    .map(member => member?.name)
+    .filter(Boolean);
+  return {
+    heading: t('cover.heading'),
+    title: trip.title || t('booklet.title'),
+    // 題名が無いときの小見出し（「〜 しおり 〜」）
+    subtitle: trip.title ? trip.title : t('cover.subtitle'),
+    range: formatRange(trip.startDate, trip.endDate, locale),
+    places: places.slice(0, 8),
+    members,
+  };
+}
+
+// 写真フレーム（ポラロイド風、少し傾ける）
+function photoFrame(photo, { x, y, w, h, rotate = -4 }) {
+  const pad = 3;
+  return `
+    <g transform="rotate(${rotate} ${x + w / 2} ${y + h / 2})">
+      <rect x="${x - pad}" y="${y - pad}" width="${w + pad * 2}" height="${h + pad * 4}" fill="#fff" stroke="#222" stroke-width=".6" filter="url(#wobble)" />
+      <clipPath id="photo-clip"><rect x="${x}" y="${y}" width="${w}" height="${h}" /></clipPath>
+      <image href="data:${photo.mimeType || 'image/jpeg'};base64,${Buffer.from(photo.data).toString('base64')}"
+        x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="xMidYMid slice" clip-path="url(#photo-clip)" />
+      <rect x="${x + w / 2 - 10}" y="${y - pad - 3}" width="20" height="6" fill="#e8d9a0" opacity=".85" />
+    </g>`;
+}
+
+// 写真が無いときの落書き（太陽・くま・旗）
+function doodles(cx, cy) {
+  return `
+    <g fill="none" stroke="#222" stroke-width=".8" stroke-linecap="round" filter="url(#wobble)">
+      <circle cx="${cx - 30}" cy="${cy - 12}" r="8" />
+      ${Array.from({ length: 8 }, (_, i) => {
+        const a = (Math.PI / 4) * i;
+        return `<line x1="${cx - 30 + Math.cos(a) * 11}" y1="${cy - 12 + Math.sin(a) * 11}" x2="${cx - 30 + Math.cos(a) * 15}" y2="${cy - 12 + Math.sin(a) * 15}" />`;
+      }).join('')}
+      <circle cx="${cx + 20}" cy="${cy + 6}" r="11" />
+      <circle cx="${cx + 11}" cy="${cy - 4}" r="4" />
+      <circle cx="${cx + 29}" cy="${cy - 4}" r="4" />
+      <circle cx="${cx + 16}" cy="${cy + 4}" r="1" fill="#222" />
+      <circle cx="${cx + 24}" cy="${cy + 4}" r="1" fill="#222" />
+      <path d="M${cx + 17} ${cy + 10} q3 3 6 0" />
+      <path d="M${cx - 8} ${cy + 20} v-26 l14 5 l-14 5" />
+    </g>`;
+}
+
+const templates = {
+  // 色紙にクレヨンで書いたような表紙
+  crayon(data, photo) {
+    const visual = photo
+      ? photoFrame(photo, { x: 29, y: 70, w: 90, h: 64 })
+      : doodles(W / 2, 102);
+    return `
+      <rect width="${W}" height="${H}" fill="#f7e6a8" />
+      <rect x="6" y="6" width="${W - 12}" height="${H - 12}" fill="none" stroke="#222" stroke-width="1.2" filter="url(#wobble)" />
+      <rect x="9" y="9" width="${W - 18}" height="${H - 18}" fill="none" stroke="#222" stroke-width=".5" filter="url(#wobble)" />
+      <text x="${W / 2}" y="40" font-size="${fitSize(data.heading, 26, W - 30)}" text-anchor="middle" class="hand title">${esc(data.heading)}</text>
+      ${textLines([data.subtitle], { y: 55, size: 8 })}
+      ${visual}
+      ${data.places.length ? textLines(wrapItems(data.places, 18), { y: 158, size: 6 }) : ''}
+      ${data.range ? textLines([data.range], { y: 180, size: 5.5 }) : ''}
+      ${data.members.length ? textLines(wrapItems(data.members, 22, '・'), { y: 192, size: 4.5, gap: 1.4 }) : ''}`;
+  },
+
+  // ノートの罫線に書いたような表紙
+  notebook(data, photo) {
+    const rules = Array.from({ length: 24 }, (_, i) =>
+      `<line x1="0" y1="${24 + i * 8}" x2="${W}" y2="${24 + i * 8}" stroke="#9cc3e6" stroke-width=".35" />`).join('');
+    const visual = photo
+      ? photoFrame(photo, { x: 42, y: 78, w: 80, h: 56, rotate: 3 })
+      : doodles(W / 2 + 10, 104);
+    return `
+      <rect width="${W}" height="${H}" fill="#fffef8" />
+      ${rules}
+      <line x1="22" y1="0" x2="22" y2="${H}" stroke="#e57373" stroke-width=".6" />
+      <text x="30" y="46" font-size="${fitSize(data.heading, 22, W - 40)}" class="hand title">${esc(data.heading)}</text>
+      ${textLines([data.title], { x: 30, y: 62, size: 7, anchor: 'start' })}
+      ${visual}
+      ${data.places.length ? textLines(wrapItems(data.places, 16), { x: 30, y: 158, size: 5.5, gap: 1.45, anchor: 'start' }) : ''}
+      ${data.range ? textLines([data.range], { x: 30, y: 182, size: 5, anchor: 'start' }) : ''}
+      ${data.members.length ? textLines(wrapItems(data.members, 20), { x: 30, y: 194, size: 4.5, anchor: 'start' }) : ''}`;
+  },
+
+  // 記念スタンプを押したような表紙
+  stamp(data, photo) {
+    const visual = photo
+      ? photoFrame(photo, { x: 39, y: 100, w: 70, h: 44, rotate: -2 })
+      : doodles(W / 2, 118);
+    const placeStamps = data.places.slice(0, 4).map((place, i) => {
+      const cx = 26 + i * 32;
+      const label = place.length > 5 ? `${place.slice(0, 5)}…` : place;
+      return `
+        <g transform="rotate(${i % 2 ? 8 : -8} ${cx} 168)">
+          <circle cx="${cx}" cy="168" r="13" fill="none" stroke="#c62828" stroke-width="1" filter="url(#wobble)" />
+          <text x="${cx}" y="169.5" font-size="4" text-anchor="middle" class="hand red">${esc(label)}</text>
+        </g>`;
+    }).join('');
+    return `
+      <rect width="${W}" height="${H}" fill="#fdf6ec" />
+      <circle cx="${W / 2}" cy="44" r="32" fill="none" stroke="#c62828" stroke-width="2" filter="url(#wobble)" />
+      <circle cx="${W / 2}" cy="44" r="28" fill="none" stroke="#c62828" stroke-width=".6" filter="url(#wobble)" />
+      <text x="${W / 2}" y="50" font-size="${fitSize(data.heading, 16, 52)}" text-anchor="middle" class="hand title red">${esc(data.heading)}</text>
+      ${textLines([data.title], { y: 88, size: 6.5 })}
+      ${visual}
+      ${placeStamps}
+      ${data.range ? textLines([data.range], { y: 192, size: 5 }) : ''}
+      ${data.members.length ? textLines(wrapItems(data.members, 24), { y: 201, size: 4 }) : ''}`;
+  },
+};
+
+/**
+ * 旅行データから手描き風の表紙（SVG）を作る
+ * @param {object} detail detailJson
+ * @param {object} [options]
+ * @param {string} [options.template] COVER_TEMPLATES のいずれか（既定: crayon）
+ * @param {{data: Buffer, mimeType?: string}} [options.photo] フレームに入れる写真（1枚目の写真など）
+ * @param {string} [options.locale] 表示言語（i18n.js の LOCALES）
+ * @param {'slice'|'meet'} [options.fit] ページの縦横比が違うとき、はみ出した分を切り取る（slice）か全体を収める（meet）か
+ * @returns {string} 表紙ページに埋め込むSVG文字列
+ */
+export function renderLocalCover(detail, { template = DEFAULT_COVER_TEMPLATE, photo, locale, fit = 'slice' } = {}) {
+  const render = templates[template] || templates[DEFAULT_COVER_TEMPLATE];
+  const data = collectCoverData(detail, locale);
+  return `
+    <svg class="local-cover" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="xMidYMid ${fit === 'meet' ? 'meet' : 'slice'}" role="img" aria-label="${esc(data.title)}">
+      <defs>
+        <filter id="wobble">
+          <feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="2" seed="7" />
+          <feDisplacementMap in="SourceGraphic" scale="1.6" />
+        </filter>
+      </defs>
+      <style>
+        .hand{ font-family:"Klee One","Yomogi","Zen Kurenaido","Hiragino Maru Gothic ProN","Kosugi Maru",sans-serif; fill:#222; }
+        .title{ font-weight:700; letter-spacing:2px; }
+        .red{ fill:#c62828; }
+      </style>
+      ${render(data, photo?.data ? photo : null)}
+    </svg>`;
+}
@@ -0,0 +1,76 @@
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
+
+// 構造化ログ（1行1つの JSON。Cloud Logging の severity に合わせる）
+// リクエストID・ジョブIDなどの文脈は withLogContext で入れると、その中の非同期処理のログにも付く
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Error は JSON にならないので、名前・メッセージ・スタックなどを取り出す
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.status ? { status: value.status } : {}),
+    ...(value.code ? { code: value.code } : {}),
+    stack: value.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = {
+    time: new Date().toISOString(),
+    severity: SEVERITIES[level],
+    message,
+    ...context.getStore(),
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serialize(value)])),
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+/**
+ * ログを出す（fields はログの項目にそのまま入る。Error は name / message / stack にする）
+ * 例: logger.warn('Place lookup failed', { key, error })
+ */
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+/**
+ * fn の中（その中で始めた非同期処理も含む）のログに fields を付ける
+ * @template T
+ * @param {object} fields 例: { requestId }、{ jobId }
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * 今のログの文脈（リクエストID など）
+ * @returns {object}
+ */
+export function getLogContext() {
+  return context.getStore() ?? {};
+}
+
+/**
+ * Express のミドルウェアの next を今の文脈で呼ばれるようにする
+ * （本文の読み込みはストリームのイベントから next を呼ぶので、そのままでは文脈が途切れる）
+ * @param {Function} middleware
+ * @returns {Function}
+ */
+export function bindLogContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
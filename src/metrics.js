@@ -0,0 +1,168 @@
+import { logger } from './logger.js';
+
+// Prometheus 形式のメトリクス（GET /metrics で返す）
+// カウンタ・ヒストグラムはプロセス内で集計し、ゲージは出力するときに値を読む
+
+const PREFIX = 'sightseeinglog_';
+// 秒単位のヒストグラムの区切り（AI の呼び出し・PDF の描画まで入るよう長めまで）
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const metrics = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+const keyOf = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function counter(name, help) {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = keyOf(labels);
+      const current = values.get(key) || { labels, value: 0 };
+      current.value += value;
+      values.set(key, current);
+    },
+    render() {
+      return [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`,
+        ...[...values.values()].map(v => `${PREFIX}${name}${labelText(v.labels)} ${v.value}`)];
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+  const metric = {
+    observe(labels, seconds) {
+      const key = keyOf(labels);
+      const current = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (seconds <= le) current.counts[i]++;
+      });
+      current.sum += seconds;
+      current.count++;
+      values.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+      for (const v of values.values()) {
+        buckets.forEach((le, i) => lines.push(`${PREFIX}${name}_bucket${labelText({ ...v.labels, le })} ${v.counts[i]}`));
+        lines.push(`${PREFIX}${name}_bucket${labelText({ ...v.labels, le: '+Inf' })} ${v.count}`);
+        lines.push(`${PREFIX}${name}_sum${labelText(v.labels)} ${v.sum}`);
+        lines.push(`${PREFIX}${name}_count${labelText(v.labels)} ${v.count}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// collect: 出力するときに呼ぶ。[{labels, value}] か数値を返す
+function gauge(name, help, collect) {
+  metrics.push({
+    render() {
+      const collected = collect();
+      const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+      return [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`,
+        ...values.map(v => `${PREFIX}${name}${labelText(v.labels)} ${v.value}`)];
+    },
+  });
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status code');
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency');
+const stageDuration = histogram('stage_duration_seconds', 'Duration of booklet stages, receipt extraction and landmark lookups by outcome');
+const stageAttemptErrors = counter('stage_attempt_errors_total', 'Failed stage attempts including retried ones');
+const jobsTotal = counter('jobs_total', 'Finished booklet jobs by status');
+const aiRequests = counter('ai_requests_total', 'AI provider calls by provider, method, task and outcome');
+const aiDuration = histogram('ai_request_duration_seconds', 'AI provider call latency');
+
+/**
+ * HTTP リクエストを記録する
+ * @param {{method: string, route: string, status: number, seconds: number}} request route はルートの定義（/jobs/:id など）
+ */
+export function recordHttpRequest({ method, route, status, seconds }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * ステージ（しおり生成のステージ・レシート読取・場所名の検索）の所要時間と結果を記録し、ログに出す
+ * @param {string} stage
+ * @param {string} outcome done / fallback / failed / cancelled / reused / cached など
+ * @param {number} seconds
+ * @param {object} [fields] ログに足す項目（error など）
+ */
+export function recordStage(stage, outcome, seconds, fields = {}) {
+  stageDuration.observe({ stage, outcome }, seconds);
+  const log = outcome === 'failed' || outcome === 'fallback' ? logger.warn : logger.info;
+  log('Stage finished', { stage, outcome, durationMs: Math.round(seconds * 1000), ...fields });
+}
+
+/**
+ * fn の所要時間と結果をステージとして記録する（レシート読取・場所名の検索など、ジョブの外の処理用）
+ * @template T
+ * @param {string} stage
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function measureStage(stage, fn) {
+  const startedAt = performance.now();
+  const seconds = () => (performance.now() - startedAt) / 1000;
+  try {
+    const value = await fn();
+    recordStage(stage, 'done', seconds());
+    return value;
+  } catch (error) {
+    recordStage(stage, 'failed', seconds(), { error });
+    throw error;
+  }
+}
+
+/**
+ * ステージの1回の試行の失敗を記録する（再試行したものも数える）
+ * @param {string} stage
+ */
+export function recordStageAttemptError(stage) {
+  stageAttemptErrors.inc({ stage });
+}
+
+/**
+ * 終わったジョブを記録する
+ * @param {string} status succeeded / failed / cancelled
+ */
+export function recordJob(status) {
+  jobsTotal.inc({ status });
+}
+
+/**
+ * AI の呼び出しを記録する
+ * @param {{provider: string, method: string, task?: string, outcome: 'ok'|'error', seconds: number}} call
+ */
+export function recordAiRequest({ provider, method, task = 'unknown', outcome, seconds }) {
+  aiRequests.inc({ provider, method, task, outcome });
+  aiDuration.observe({ provider, method }, seconds);
+}
+
+/**
+ * 出力するときに値を読むゲージを登録する（待ちの数など）
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number|{labels: object, value: number}[]} collect
+ */
+export function registerGauge(name, help, collect) {
+  gauge(name, help, collect);
+}
+
+/**
+ * Prometheus のテキスト形式
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,65 @@
+import { createZip } from './zip.js';
+
+// しおりの出力形式
+// pdf: 印刷用PDF / html: 画像などを埋め込んだ1つのHTML / png・jpeg: ページごとの画像と表紙のサムネイル（ZIP）
+// zip: PDF・HTML・ページの画像・EPUB 一式 / epub: 読書アプリ向けのリフロー型 EPUB
+export const OUTPUT_FORMATS = {
+  pdf: { mimeType: 'application/pdf', fileName: 'shiori.pdf', needs: ['pdf'] },
+  html: { mimeType: 'text/html; charset=utf-8', fileName: 'shiori.html', needs: [] },
+  png: { mimeType: 'application/zip', fileName: 'shiori-png.zip', needs: ['images'], imageType: 'png' },
+  jpeg: { mimeType: 'application/zip', fileName: 'shiori-jpeg.zip', needs: ['images'], imageType: 'jpeg' },
+  zip: { mimeType: 'application/zip', fileName: 'shiori.zip', needs: ['pdf', 'images', 'epub'], imageType: 'png' },
+  epub: { mimeType: 'application/epub+zip', fileName: 'shiori.epub', needs: ['epub'] },
+};
+export const DEFAULT_OUTPUT_FORMAT = 'pdf';
+
+// Accept ヘッダで選べる形式（先頭ほど優先。画像は ZIP になるので format で指定する）
+export const ACCEPT_FORMATS = {
+  'application/pdf': 'pdf',
+  'text/html': 'html',
+  'application/epub+zip': 'epub',
+  'application/zip': 'zip',
+};
+
+const IMAGE_EXTENSIONS = { png: 'png', jpeg: 'jpg' };
+
+// ページの画像のファイル名（1始まり、桁をそろえる）
+const pageFileName = (index, count, type) =>
+  `pages/${String(index + 1).padStart(Math.max(2, String(count).length), '0')}.${IMAGE_EXTENSIONS[type]}`;
+
+/**
+ * 生成結果からレスポンスにするファイルを作る
+ * @param {{format: string, html: string, pdf?: Buffer, pages?: Buffer[], thumbnail?: Buffer, imageType?: string, epub?: Buffer}} result generateBooklet の戻り値
+ * @returns {{data: Buffer|string, mimeType: string, fileName: string}}
+ */
+export function buildOutput(result) {
+  const { mimeType, fileName } = OUTPUT_FORMATS[result.format];
+  const images = () => [
+    ...result.pages.map((data, i) => ({ name: pageFileName(i, result.pages.length, result.imageType), data })),
+    { name: `thumbnail.${IMAGE_EXTENSIONS[result.imageType]}`, data: result.thumbnail },
+  ];
+  switch (result.format) {
+    case 'pdf':
+      return { data: result.pdf, mimeType, fileName };
+    case 'html':
+      return { data: result.html, mimeType, fileName };
+    case 'epub':
+      return { data: result.epub, mimeType, fileName };
+    case 'png':
+    case 'jpeg':
+      return { data: createZip(images()), mimeType, fileName };
+    case 'zip':
+      return {
+        data: createZip([
+          { name: 'shiori.pdf', data: result.pdf },
+          { name: 'shiori.html', data: result.html },
+          { name: 'shiori.epub', data: result.epub },
+          ...images(),
+        ]),
+        mimeType,
+        fileName,
+      };
+    default:
+      throw new Error(`Unknown output format: ${result.format}`);
+  }
+}
@@ -0,0 +1,102 @@
+import { PDFDocument } from 'pdf-lib';
+
+// 用紙サイズと面付け（中綴じ）
+// 中綴じ: しおりの2ページを1枚の片面に並べ、両面印刷して二つ折りにすると順番どおりに読めるよう並べ替える
+
+// 用紙サイズ（縦向きの幅・高さ、mm）。B 判は JIS
+export const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A5: { width: 148, height: 210 },
+  B5: { width: 182, height: 257 },
+  B6: { width: 128, height: 182 },
+  Letter: { width: 215.9, height: 279.4 },
+};
+export const DEFAULT_PAPER_SIZE = 'A5';
+export const ORIENTATIONS = ['portrait', 'landscape'];
+
+// 面付けに使う用紙（しおりの2ページ分）
+export const IMPOSITION_SHEETS = {
+  A4: { width: 210, height: 297 },
+  B4: { width: 257, height: 364 },
+};
+export const IMPOSITION_MODES = ['none', 'saddle'];
+
+const MM_TO_PT = 72 / 25.4;
+
+/**
+ * しおりの1ページの大きさ（mm）
+ * @param {string} [paperSize] PAPER_SIZES のいずれか
+ * @param {'portrait'|'landscape'} [orientation]
+ * @returns {{width: number, height: number}}
+ */
+export function pageSizeOf(paperSize = DEFAULT_PAPER_SIZE, orientation = 'portrait') {
+  const { width, height } = PAPER_SIZES[paperSize] || PAPER_SIZES[DEFAULT_PAPER_SIZE];
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * 面付けの用紙の既定（B5 のしおりは B4、それ以外は A4 に2ページ）
+ * @param {string} paperSize
+ */
+export function defaultImpositionSheet(paperSize) {
+  return paperSize === 'B5' ? 'B4' : 'A4';
+}
+
+/**
+ * 中綴じのページ順（4の倍数にそろえたページ数 n に対して、1枚ごとに表・裏の左右のページ番号。0始まり）
+ * 例: 8ページ → [[7, 0], [1, 6], [5, 2], [3, 4]]
+ * @param {number} pageCount
+ * @returns {[number, number][]} 片面ごとの [左, 右]
+ */
+export function saddleStitchOrder(pageCount) {
+  const n = Math.ceil(pageCount / 4) * 4;
+  const sides = [];
+  for (let i = 0; i < n / 4; i++) {
+    sides.push([n - 1 - 2 * i, 2 * i]);
+    sides.push([2 * i + 1, n - 2 - 2 * i]);
+  }
+  return sides;
+}
+
+/**
+ * しおりのPDFを中綴じ用に面付けする
+ * ページ数が4の倍数になるよう最後に白紙を足し、用紙1面に2ページずつ（縦向きのページは左右、横向きは上下）縮小して並べる
+ * @param {Buffer|Uint8Array} pdf しおりのPDF（1ページ = しおりの1ページ）
+ * @param {object} [options]
+ * @param {string} [options.sheet] IMPOSITION_SHEETS のいずれか（既定: A4）
+ * @returns {Promise<Buffer>} 両面印刷（短辺とじ）用のPDF
+ */
+export async function imposeSaddleStitch(pdf, { sheet = 'A4' } = {}) {
+  const source = await PDFDocument.load(pdf);
+  const output = await PDFDocument.create();
+  const sourcePages = source.getPages();
+  if (!sourcePages.length) throw new Error('PDF has no pages to impose');
+
+  const { width: pageWidth, height: pageHeight } = sourcePages[0].getSize();
+  const sideBySide = pageWidth <= pageHeight;
+  const paper = IMPOSITION_SHEETS[sheet] || IMPOSITION_SHEETS.A4;
+  // 縦向きのページは横向きの用紙に左右、横向きのページは縦向きの用紙に上下に並べる
+  const [sheetWidth, sheetHeight] = sideBySide
+    ? [paper.height * MM_TO_PT, paper.width * MM_TO_PT]
+    : [paper.width * MM_TO_PT, paper.height * MM_TO_PT];
+  const slotWidth = sideBySide ? sheetWidth / 2 : sheetWidth;
+  const slotHeight = sideBySide ? sheetHeight : sheetHeight / 2;
+  const scale = Math.min(slotWidth / pageWidth, slotHeight / pageHeight);
+
+  const embedded = await output.embedPages(sourcePages);
+  for (const side of saddleStitchOrder(sourcePages.length)) {
+    const page = output.addPage([sheetWidth, sheetHeight]);
+    side.forEach((index, slot) => {
+      const embeddedPage = embedded[index];
+      // 足した白紙のページは何も描かない
+      if (!embeddedPage) return;
+      const width = embeddedPage.width * scale;
+      const height = embeddedPage.height * scale;
+      // 各枠の中央に置く（上下に並べるときは1つ目が上）
+      const x = sideBySide ? slot * slotWidth + (slotWidth - width) / 2 : (slotWidth - width) / 2;
+      const y = sideBySide ? (slotHeight - height) / 2 : (1 - slot) * slotHeight + (slotHeight - height) / 2;
+      page.drawPage(embeddedPage, { x, y, width, height });
+    });
+  }
+  return Buffer.from(await output.save());
+}
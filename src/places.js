@@ -0,0 +1,68 @@
+import axios from 'axios';
+
+// 緯度経度から場所名を引く（place lookup）
+
+// 1回の問い合わせのタイムアウト（応答しない API でジョブが止まらないように）
+const PLACE_LOOKUP_TIMEOUT_MS = parseInt(process.env.PLACE_LOOKUP_TIMEOUT_MS) || 5000;
+
+/**
+ * Yahoo! プレイス情報API の結果をそのまま返す
+ * @param {number|string} latitude
+ * @param {number|string} longitude
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<object>}
+ */
+export async function fetchPlaceInfo(latitude, longitude, { signal } = {}) {
+  const response = await axios.get('https://map.yahooapis.jp/placeinfo/V1/get', {
+    params: { lat: latitude, lon: longitude, appid: process.env.YAHOO_API_KEY, output: 'json' },
+    timeout: PLACE_LOOKUP_TIMEOUT_MS,
+    signal,
+  });
+  return response.data;
+}
+
+// プレイス情報の結果から代表的な名前を選ぶ（ランドマーク → エリア → 住所の順）
+function pickPlaceName(data) {
+  const set = data?.ResultSet || {};
+  const candidates = [
+    set.Result?.[0]?.Name,
+    set.Area?.[0]?.Name,
+    set.Address?.[0],
+  ];
+  const name = candidates.find(c => typeof c === 'string' && c.trim());
+  return name ? name.trim() : null;
+}
+
+const resolvers = {
+  yahoo: async (latitude, longitude, options) => pickPlaceName(await fetchPlaceInfo(latitude, longitude, options)),
+  // オフライン用: 座標をそのまま名前にする
+  mock: async (latitude, longitude) => `地点(${Number(latitude).toFixed(3)}, ${Number(longitude).toFixed(3)})`,
+  none: async () => null,
+};
+
+export const PLACE_PROVIDER_NAMES = Object.keys(resolvers);
+
+let customResolver = null;
+
+/**
+ * 場所名の解決関数を差し替える（null で環境変数による選択に戻す）
+ * @param {((latitude: number, longitude: number, options?: {signal?: AbortSignal}) => Promise<string|null>)|null} resolver
+ */
+export function setPlaceResolver(resolver) {
+  customResolver = resolver;
+}
+
+/**
+ * 場所名の解決関数を返す
+ * PLACE_PROVIDER（yahoo / mock / none）で選ぶ。未指定なら YAHOO_API_KEY があれば yahoo、なければ none
+ * @returns {(latitude: number, longitude: number, options?: {signal?: AbortSignal}) => Promise<string|null>}
+ */
+export function getPlaceResolver() {
+  if (customResolver) return customResolver;
+  const name = process.env.PLACE_PROVIDER || (process.env.YAHOO_API_KEY ? 'yahoo' : 'none');
+  const resolver = resolvers[name];
+  if (!resolver) {
+    throw new Error(`Unknown place provider: ${name} (available: ${PLACE_PROVIDER_NAMES.join(', ')})`);
+  }
+  return resolver;
+}
@@ -0,0 +1,145 @@
+import { DEFAULT_CURRENCY, roundMoney } from './currency.js';
+
+// レシート読取結果の整形・検算（AIの出力を detailJson の allowance に使える形にする）
+
+export const RECEIPT_PROMPT = [
+  'レシート画像から次の項目を読み取り、JSONのみで出力してください。',
+  '- storeName: 店舗名',
+  '- date: 購入日（YYYY-MM-DD）、time: 購入時刻（HH:mm）。読み取れなければ null',
+  '- items: 商品ごとの {"name","amount","quantity"}。amount はその行の金額（数量分の合計）',
+  '- discounts: 値引き・割引・クーポンの {"name","amount"}。amount は値引き額',
+  '- taxes: 消費税の {"name","amount","included"}。included は内税（商品の金額に含まれている）なら true、外税なら false',
+  '- paymentMethod: 支払方法（現金、クレジットカード、交通系ICなど）',
+  '- total: レシートに印字された合計金額',
+  '- currency: 通貨（ISO 4217 の3文字コード。例: JPY, USD, EUR, KRW）。通貨記号・国・言語から判断する',
+  'フォーマット例: {"storeName":"◯◯店","date":"2025-09-12","time":"10:30","currency":"JPY","items":[{"name":"コーヒー","amount":300,"quantity":1}],"discounts":[{"name":"クーポン","amount":50}],"taxes":[{"name":"消費税(8%)","amount":18,"included":true}],"paymentMethod":"現金","total":250}',
+  '条件: 金額はすべてレシートの通貨での数値（記号や桁区切りを付けない。小数のある通貨は小数で）。小計・お預り・お釣りの行は items に含めないこと。',
+  '余計な文章・説明・コードブロックは一切出力しないこと。'
+].join('\n');
+
+const toAmount = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  const cleaned = v.replace(/[^0-9.\-]/g, '');
+  const n = Number(cleaned);
+  return cleaned && Number.isFinite(n) ? n : null;
+};
+
+const toText = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+
+// {name, amount} の行を取り出す（名前か金額が読めない行は捨てる）
+function parseLines(lines, map = (line, amount) => ({ amount })) {
+  return (Array.isArray(lines) ? lines : [])
+    .map(line => {
+      const name = toText(line?.name);
+      const amount = toAmount(line?.amount);
+      return name && amount !== null ? { name, ...map(line, amount) } : null;
+    })
+    .filter(Boolean);
+}
+
+function parseDate(v) {
+  const m = typeof v === 'string' && v.match(/(\d{4})\D(\d{1,2})\D(\d{1,2})/);
+  return m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : undefined;
+}
+
+function parseTime(v) {
+  const m = typeof v === 'string' && v.match(/(\d{1,2}):(\d{2})/);
+  return m && Number(m[1]) < 24 ? `${m[1].padStart(2, '0')}:${m[2]}` : undefined;
+}
+
+/**
+ * 商品・値引き・外税の合計と印字された合計を突き合わせる
+ * @param {{currency: string, items: {amount: number}[], discounts: {amount: number}[], taxes: {amount: number, included: boolean}[], total: number|null}} receipt
+ * @returns {{itemsTotal: number, discountTotal: number, taxTotal: number, computedTotal: number, printedTotal: number|null, difference: number|null, matches: boolean|null}}
+ *   difference は 印字された合計 - 計算した合計。印字された合計が無ければ matches は null
+ */
+export function checkReceiptTotal(receipt) {
+  const round = (n) => roundMoney(n, receipt.currency);
+  const sum = (lines) => round(lines.reduce((acc, line) => acc + line.amount, 0));
+  const itemsTotal = sum(receipt.items);
+  const discountTotal = sum(receipt.discounts);
+  // 内税は商品の金額に含まれているので足さない
+  const taxTotal = sum(receipt.taxes.filter(t => !t.included));
+  const computedTotal = round(itemsTotal - discountTotal + taxTotal);
+  const printedTotal = receipt.total;
+  const difference = printedTotal === null ? null : round(printedTotal - computedTotal);
+  return {
+    itemsTotal,
+    discountTotal,
+    taxTotal,
+    computedTotal,
+    printedTotal,
+    difference,
+    matches: difference === null ? null : difference === 0,
+  };
+}
+
+/**
+ * レシートから detailJson.trip.allowance の1件を作る
+ * 値引きと外税は負・正の金額の明細として入れ、total は印字された合計（無ければ計算した合計）にする
+ * @param {object} receipt normalizeReceipt の戻り値
+ * @returns {{title: string, total: number, currency: string, date?: string, details: {name: string, amount: number}[]}}
+ */
+export function toAllowanceEntry(receipt) {
+  const details = [
+    ...receipt.items.map(({ name, amount }) => ({ name, amount })),
+    ...receipt.discounts.map(({ name, amount }) => ({ name, amount: -amount })),
+    ...receipt.taxes.filter(t => !t.included).map(({ name, amount }) => ({ name, amount })),
+  ];
+  const entry = {
+    title: receipt.storeName || 'レシート',
+    total: receipt.total ?? receipt.check.computedTotal,
+    currency: receipt.currency,
+    details,
+  };
+  if (receipt.date) entry.date = receipt.date;
+  return entry;
+}
+
+/**
+ * AIが返したレシートのJSONを整形し、検算結果と allowance の1件を付ける
+ * 商品が1つも読み取れなければ null
+ * @param {any} data AIの出力
+ * @returns {object|null}
+ */
+export function normalizeReceipt(data) {
+  if (!data || !Array.isArray(data.items)) {
+    return null;
+  }
+
+  const items = parseLines(data.items, (line, amount) => {
+    const quantity = toAmount(line?.quantity);
+    return quantity !== null && quantity > 0 ? { amount, quantity } : { amount };
+  });
+  if (!items.length) return null;
+
+  const storeNameRaw = data.storeName || data.store || data.shop || data['店舗名'] || data['店名'];
+  const date = parseDate(data.date);
+  const time = parseTime(data.time);
+  // 通貨が読めなければ円とみなす
+  const currency = typeof data.currency === 'string' && /^[A-Za-z]{3}$/.test(data.currency.trim())
+    ? data.currency.trim().toUpperCase()
+    : DEFAULT_CURRENCY;
+  const foreign = currency !== DEFAULT_CURRENCY;
+  const receipt = {
+    storeName: toText(storeNameRaw),
+    date,
+    time,
+    // 日時は日本のレシート（円）のときだけ JST として組み立てる（外国の時差は分からない）
+    dateTime: date && time && !foreign ? `${date}T${time}:00+09:00` : undefined,
+    currency,
+    items,
+    // 値引きは正の金額にそろえる（「-50」と読まれても 50）
+    discounts: parseLines(data.discounts, (line, amount) => ({ amount: Math.abs(amount) })),
+    taxes: parseLines(data.taxes, (line, amount) => ({
+      amount,
+      included: line?.included !== false && line?.included !== 'false',
+    })),
+    paymentMethod: toText(data.paymentMethod),
+    total: toAmount(data.total),
+  };
+  receipt.check = checkReceiptTotal(receipt);
+  receipt.allowance = toAllowanceEntry(receipt);
+  return receipt;
+}
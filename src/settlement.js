@@ -0,0 +1,165 @@
+import { createCurrencyConverter, currencyDecimals } from './currency.js';
+
+// 割り勘の精算（誰がいくら払い、いくら負担し、誰が誰にいくら渡せば精算できるか）
+// 計算は基準通貨の最小単位（円なら1円、ドルなら1セント）の整数で行う
+
+const nameOf = (v) => (typeof v === 'string' ? v.trim() : '');
+
+// total を人数で割り、割り切れない分は先頭の人から最小単位ずつ負担する
+function splitAmount(total, count) {
+  const base = Math.floor(total / count);
+  const rest = total - base * count;
+  return Array.from({ length: count }, (_, i) => base + (i < rest ? 1 : 0));
+}
+
+// 差額の合計が0になる組を調べきる人数の上限（2^人数 通りを調べるため）。超えたら全員を1つの組にする
+const EXACT_GROUPING_LIMIT = 16;
+
+// 差額のある人を、組の中だけで精算できる（差額の合計が0になる）組にできるだけ多く分ける
+// k 人の組は k-1 回で精算できるので、組が多いほど精算の回数が減る（人数 - 組の数 が最少の回数）
+function zeroSumGroups(people) {
+  const n = people.length;
+  if (n > EXACT_GROUPING_LIMIT) return [people];
+  const size = 1 << n;
+  // sum[mask]: mask の人の差額の合計 / best[mask]: mask を分けられる組の数の最大 / from[mask]: そのとき1人減らした mask
+  const sum = new Array(size).fill(0);
+  const best = new Array(size).fill(0);
+  const from = new Array(size).fill(0);
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = 31 - Math.clz32(mask & -mask);
+    sum[mask] = sum[mask & (mask - 1)] + people[lowest].amount;
+    best[mask] = -1;
+    for (let i = 0; i < n; i++) {
+      const prev = mask & ~(1 << i);
+      if (prev !== mask && best[prev] > best[mask]) {
+        best[mask] = best[prev];
+        from[mask] = prev;
+      }
+    }
+    if (sum[mask] === 0) best[mask]++;
+  }
+  // 1人ずつ減らしていく途中で合計が0になったところが組の切れ目
+  const groups = [];
+  let mask = size - 1;
+  let boundary = mask;
+  while (mask) {
+    mask = from[mask];
+    if (sum[mask] === 0) {
+      groups.push(people.filter((_, i) => (boundary ^ mask) & (1 << i)));
+      boundary = mask;
+    }
+  }
+  return groups.sort((a, b) => a[0].order - b[0].order);
+}
+
+// 組の中で、払いすぎた人（受け取る側）と足りない人（渡す側）を金額の大きい順に組み合わせる
+// 1回ごとに少なくとも1人の差額が0になり、最後の1回で2人とも0になるので k 人の組は k-1 回以内
+function pairTransfers(group) {
+  const byAmount = (a, b) => (b.amount - a.amount) || (a.order - b.order);
+  const creditors = group.filter(m => m.amount > 0).map(m => ({ ...m })).sort(byAmount);
+  const debtors = group.filter(m => m.amount < 0).map(m => ({ ...m, amount: -m.amount })).sort(byAmount);
+
+  const transfers = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const amount = Math.min(debtors[i].amount, creditors[j].amount);
+    transfers.push({ from: debtors[i].name, to: creditors[j].name, amount });
+    debtors[i].amount -= amount;
+    creditors[j].amount -= amount;
+    if (debtors[i].amount === 0) i++;
+    if (creditors[j].amount === 0) j++;
+  }
+  return transfers;
+}
+
+// 精算に必要なお金のやりとり（回数が最少になるもの。差額のある人が EXACT_GROUPING_LIMIT 人を超えたら人数-1回以内）
+function buildTransfers(members) {
+  const people = members
+    .map((m, order) => ({ name: m.name, amount: m.balance, order }))
+    .filter(m => m.amount !== 0);
+  return zeroSumGroups(people).flatMap(pairTransfers);
+}
+
+/**
+ * 割り勘のページを載せるか（paidBy か sharedBy を書いた支出が1つでもあるか）
+ * お財布係がいるだけでは載せない（paidBy の既定はお財布係なので、computeSettlement の entries だけでは判断できない）
+ * @param {object} trip detailJson.trip
+ * @returns {boolean}
+ */
+export function hasSettlementEntries(trip) {
+  const allowance = Array.isArray(trip?.allowance) ? trip.allowance : [];
+  return allowance.some(item => nameOf(item?.paidBy)
+    || (Array.isArray(item?.sharedBy) && item.sharedBy.some(name => nameOf(name))));
+}
+
+/**
+ * おこづかい帳の支出から割り勘を精算する
+ * - 支払った人は allowance[].paidBy。無ければお財布係（role: accountant）が立て替えたものとみなす
+ * - 負担する人は allowance[].sharedBy。無ければ班員全員で等分する（端数は先頭の人から負担）
+ * - 外貨の支出は trip.currency（既定: JPY）に換算する
+ * - 支払った人が分からない支出・換算できない支出は精算に含めず unassigned に入れる
+ * - 班員に無い名前が paidBy / sharedBy に出てきた場合も精算の対象に加える
+ * @param {object} trip detailJson.trip
+ * @returns {{
+ *   members: {name: string, paid: number, share: number, balance: number}[],
+ *   transfers: {from: string, to: string, amount: number}[],
+ *   entries: {title: string, total: number, paidBy: string, sharedBy: string[]}[],
+ *   unassigned: {title: string, total: number, currency: string}[],
+ *   total: number,
+ *   currency: string,
+ * }} unassigned 以外の金額は基準通貨。balance は正なら受け取る額、負なら渡す額。transfers は回数が最少になるやりとり
+ */
+export function computeSettlement(trip) {
+  const memberList = Array.isArray(trip?.members) ? trip.members : [];
+  const allowance = Array.isArray(trip?.allowance) ? trip.allowance : [];
+  const converter = createCurrencyConverter(trip);
+  const scale = 10 ** currencyDecimals(converter.home);
+  const toMinor = (v) => Math.round(v * scale);
+  const fromMinor = (v) => v / scale;
+
+  const members = new Map();
+  const addMember = (name) => {
+    if (!members.has(name)) members.set(name, { name, paid: 0, share: 0, balance: 0 });
+    return members.get(name);
+  };
+  const memberNames = memberList.map(m => nameOf(m?.name)).filter(Boolean);
+  memberNames.forEach(addMember);
+  const accountant = memberList.find(m => m?.role === 'accountant' && nameOf(m?.name));
+
+  const entries = [];
+  const unassigned = [];
+  for (const item of allowance) {
+    const title = nameOf(item?.title);
+    const amount = Number(item?.total);
+    if (!title || !Number.isFinite(amount) || amount <= 0) continue;
+    const converted = converter.convert(amount, item?.currency);
+
+    const paidBy = nameOf(item?.paidBy) || nameOf(accountant?.name);
+    const listed = Array.isArray(item?.sharedBy) ? item.sharedBy.map(nameOf).filter(Boolean) : [];
+    const sharedBy = Array.from(new Set(listed.length ? listed : memberNames));
+    if (!paidBy || !sharedBy.length || converted === null) {
+      unassigned.push({ title, total: amount, currency: converter.currencyOf(item?.currency) });
+      continue;
+    }
+    const total = toMinor(converted);
+
+    addMember(paidBy).paid += total;
+    splitAmount(total, sharedBy.length).forEach((part, i) => {
+      addMember(sharedBy[i]).share += part;
+    });
+    entries.push({ title, total, paidBy, sharedBy });
+  }
+
+  const list = Array.from(members.values());
+  for (const m of list) m.balance = m.paid - m.share;
+
+  return {
+    members: list.map(m => ({ name: m.name, paid: fromMinor(m.paid), share: fromMinor(m.share), balance: fromMinor(m.balance) })),
+    transfers: buildTransfers(list).map(t => ({ ...t, amount: fromMinor(t.amount) })),
+    entries: entries.map(e => ({ ...e, total: fromMinor(e.total) })),
+    unassigned,
+    total: fromMinor(entries.reduce((acc, e) => acc + e.total, 0)),
+    currency: converter.home,
+  };
+}
@@ -0,0 +1,172 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+
+import { DEFAULT_LOCALE } from './i18n.js';
+import { logger } from './logger.js';
+
+// しおりのテーマ（色・フォント・見出しの飾り・ページの背景）
+// 組み込みのテーマは themes/<名前>.json。THEMES_DIR のディレクトリにある <名前>.json も起動時に読み込む
+// （同じ名前なら THEMES_DIR のものを使う）。書かなかった項目は既定のテーマの値を使う
+
+export const DEFAULT_THEME = 'classic';
+
+const themeSchema = JSON.parse(readFileSync(new URL('./schemas/theme.json', import.meta.url), 'utf8'));
+const validateTheme = new Ajv({ allErrors: true }).compile(themeSchema);
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// ディレクトリ内のテーマを読む（不正なファイルは警告を出して読み飛ばす）
+function readThemeDir(dir) {
+  const result = {};
+  let files = [];
+  try {
+    files = readdirSync(dir);
+  } catch (error) {
+    logger.warn('Theme directory not readable', { dir, error });
+    return result;
+  }
+  for (const file of files) {
+    const name = path.basename(file, '.json');
+    if (!file.endsWith('.json') || !NAME_PATTERN.test(name)) continue;
+    try {
+      const theme = JSON.parse(readFileSync(path.join(dir, file), 'utf8'));
+      if (!validateTheme(theme)) {
+        const detail = validateTheme.errors.map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+        logger.warn('Invalid theme', { file, detail });
+        continue;
+      }
+      result[name] = theme;
+    } catch (error) {
+      logger.warn('Failed to load theme', { file, error });
+    }
+  }
+  return result;
+}
+
+const builtinThemes = readThemeDir(fileURLToPath(new URL('./themes/', import.meta.url)));
+const customThemes = process.env.THEMES_DIR ? readThemeDir(path.resolve(process.env.THEMES_DIR)) : {};
+
+// 既定のテーマの値に重ねる
+const base = builtinThemes[DEFAULT_THEME];
+const themes = Object.fromEntries(Object.entries({ ...builtinThemes, ...customThemes }).map(([name, theme]) => [name, {
+  ...base,
+  ...theme,
+  name,
+  custom: Object.hasOwn(customThemes, name),
+  colors: { ...base.colors, ...theme.colors },
+  fonts: { ...base.fonts, ...theme.fonts },
+  headings: { ...base.headings, ...theme.headings },
+  css: theme.css ?? '',
+}]));
+
+export const THEMES = Object.keys(themes)
+  .sort((a, b) => (b === DEFAULT_THEME) - (a === DEFAULT_THEME) || a.localeCompare(b));
+
+// 言語ごとの文言（無ければ日本語、それも無ければ最初のもの）
+const localized = (text, locale) => {
+  if (typeof text === 'string' || !text) return text ?? '';
+  return text[locale] ?? text[DEFAULT_LOCALE] ?? Object.values(text)[0] ?? '';
+};
+
+/**
+ * テーマファイルのスキーマ
+ * @returns {object}
+ */
+export function getThemeSchema() {
+  return themeSchema;
+}
+
+/**
+ * テーマを取得する（無ければ既定のテーマ）
+ * @param {string} [name] THEMES のいずれか
+ */
+export function getTheme(name = DEFAULT_THEME) {
+  return themes[name] || themes[DEFAULT_THEME];
+}
+
+/**
+ * 選べるテーマの一覧（GET /themes 用）
+ * @param {string} [locale] 名前・説明の言語
+ * @returns {{name: string, label: string, description: string, custom: boolean, colors: object, fonts: object, headings: object, background: string}[]}
+ */
+export function listThemes(locale = DEFAULT_LOCALE) {
+  return THEMES.map(name => {
+    const { label, description, custom, colors, fonts, headings, background } = themes[name];
+    return {
+      name,
+      label: localized(label, locale) || name,
+      description: localized(description, locale),
+      custom,
+      colors,
+      fonts,
+      headings,
+      background,
+    };
+  });
+}
+
+const GENERIC_FONTS = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui']);
+const fontFamily = (fonts) => fonts.map(f => (GENERIC_FONTS.has(f) ? f : `"${f}"`)).join(', ');
+
+// 大見出し（h2）の飾り
+const SECTION_HEADINGS = {
+  underline: 'border-bottom:2px solid var(--accent); padding-bottom:4px;',
+  band: 'background:var(--accent); color:var(--heading-ink); padding:4px 10px; border-radius:6px;',
+  box: 'border:2px solid var(--accent); border-radius:8px; padding:4px 10px;',
+  dotted: 'border-bottom:3px dotted var(--accent); padding-bottom:4px;',
+  plain: '',
+};
+
+// 小見出し（.sticker）の飾り
+const SUB_HEADINGS = {
+  sticker: `
+    .sticker{ display:inline-block; padding:6px 10px; border-radius:8px; background:var(--sticker); position:relative; font-weight:700; box-shadow:1px 1px 0 rgba(0,0,0,.35); }
+    .sticker::before{ content:""; position:absolute; inset:-6px auto auto -6px; width:36px; height:18px; background:repeating-linear-gradient(45deg, rgba(0,0,0,.08) 0 6px, rgba(0,0,0,.16) 6px 12px); transform:rotate(-6deg); opacity:.7; pointer-events:none; }`,
+  tab: `
+    .sticker{ display:block; padding:4px 10px; border-left:6px solid var(--accent); background:var(--sticker); font-weight:700; }`,
+  underline: `
+    .sticker{ display:inline-block; padding:2px 2px 4px; font-weight:700; text-decoration:underline wavy var(--accent); text-underline-offset:5px; }`,
+  plain: `
+    .sticker{ font-weight:700; }`,
+};
+
+// ページの背景（表紙は画像・SVGで覆われるので表紙以外に見える）
+const BACKGROUNDS = {
+  none: '',
+  ruled: 'background-image:repeating-linear-gradient(to bottom, transparent 0 7mm, var(--rule) 7mm calc(7mm + 1px));',
+  grid: 'background-image:linear-gradient(var(--rule) 1px, transparent 1px), linear-gradient(90deg, var(--rule) 1px, transparent 1px); background-size:5mm 5mm;',
+  dots: 'background-image:radial-gradient(var(--rule) 1px, transparent 1.5px); background-size:5mm 5mm;',
+};
+
+/**
+ * テーマのCSS（CSS変数・見出しの飾り・背景）。しおりの基本のCSSの後ろに置く
+ * @param {object} theme getTheme の戻り値
+ * @returns {string}
+ */
+export function renderThemeCss(theme) {
+  const { colors, fonts, headings } = theme;
+  return `
+    /* ======== テーマ: ${theme.name} ======== */
+    :root{
+      --ink:${colors.ink};
+      --muted:${colors.muted};
+      --border:${colors.border};
+      --page:${colors.page};
+      --accent:${colors.accent};
+      --accent-soft:${colors.accentSoft};
+      --heading-ink:${colors.headingInk};
+      --sticker:${colors.sticker};
+      --total-box:${colors.totalBox};
+      --warn:${colors.warn};
+      --warn-soft:${colors.warnSoft};
+      --rule:${colors.rule};
+      --font-body:${fontFamily(fonts.body)};
+      --font-heading:${fontFamily(fonts.heading)};
+    }
+    body{ ${BACKGROUNDS[theme.background] ?? ''} }
+    h2{ ${SECTION_HEADINGS[headings.section] ?? ''} }
+    ${SUB_HEADINGS[headings.sub] ?? ''}
+    ${theme.css}`;
+}
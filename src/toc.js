@@ -0,0 +1,124 @@
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFHexString, StandardFonts, rgb } from 'pdf-lib';
+
+// 目次・ページ番号・しおり（PDFのブックマーク）
+// Chrome は目次のリンク先（セクションの id）を名前付きのリンク先としてPDFに書き出すので、
+// それを読んで各セクションが何ページ目に来たかを調べる
+
+const MM_TO_PT = 72 / 25.4;
+
+// リンク先の配列（[ページ, /XYZ, ...]）または /D を持つ辞書からページを取り出す
+function destinationPage(context, value) {
+  const dest = context.lookup(value);
+  if (dest instanceof PDFArray) return dest.get(0);
+  if (dest instanceof PDFDict) return destinationPage(context, dest.get(PDFName.of('D')));
+  return undefined;
+}
+
+// 名前ツリー（/Names /Dests）をたどる
+function walkNameTree(context, node, visit) {
+  const dict = context.lookup(node);
+  if (!(dict instanceof PDFDict)) return;
+  const names = dict.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const key = context.lookup(names.get(i));
+      if (key?.decodeText) visit(key.decodeText(), names.get(i + 1));
+    }
+  }
+  const kids = dict.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) walkNameTree(context, kids.get(i), visit);
+  }
+}
+
+// 名前付きのリンク先 → ページ番号（1始まり）
+function readNamedDestinations(doc) {
+  const { context, catalog } = doc;
+  const pageIndexOf = new Map(doc.getPages().map((page, index) => [page.ref, index]));
+  const result = {};
+  const visit = (name, value) => {
+    const page = destinationPage(context, value);
+    if (page instanceof PDFRef && pageIndexOf.has(page)) result[name] = pageIndexOf.get(page) + 1;
+  };
+
+  // PDF 1.1 形式（カタログの /Dests 辞書。Chrome はこちら）
+  const dests = catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [key, value] of dests.entries()) visit(key.decodeText(), value);
+  }
+  // PDF 1.2 以降の名前ツリー
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict && names.has(PDFName.of('Dests'))) {
+    walkNameTree(context, names.get(PDFName.of('Dests')), visit);
+  }
+  return result;
+}
+
+/**
+ * 各セクションの始まるページ番号（1始まり、表紙が1ページ目）
+ * @param {Buffer|Uint8Array} pdf
+ * @param {string[]} ids セクションの id（目次のリンク先）
+ * @returns {Promise<Record<string, number>>} PDFに見つからなかった id は含まない
+ */
+export async function findSectionPages(pdf, ids) {
+  const doc = await PDFDocument.load(pdf);
+  const destinations = readNamedDestinations(doc);
+  return Object.fromEntries(ids.filter(id => destinations[id]).map(id => [id, destinations[id]]));
+}
+
+// ブックマークを作る（1階層）
+function addOutline(doc, entries) {
+  const { context, catalog } = doc;
+  const pages = doc.getPages();
+  const outlineRef = context.nextRef();
+  const itemRefs = entries.map(() => context.nextRef());
+  entries.forEach((entry, i) => {
+    context.assign(itemRefs[i], context.obj({
+      Title: PDFHexString.fromText(entry.title),
+      Parent: outlineRef,
+      ...(i > 0 ? { Prev: itemRefs[i - 1] } : {}),
+      ...(i < entries.length - 1 ? { Next: itemRefs[i + 1] } : {}),
+      Dest: [pages[entry.page - 1].ref, 'Fit'],
+    }));
+  });
+  context.assign(outlineRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: itemRefs.length,
+  }));
+  catalog.set(PDFName.of('Outlines'), outlineRef);
+  catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * しおりのPDFの仕上げ（表紙以外のページの下にページ番号を入れ、目次のセクションをブックマークにする）
+ * ページ番号は表紙を1ページ目として数える（目次の番号と同じ）
+ * @param {Buffer|Uint8Array} pdf
+ * @param {{id: string, title: string}[]} sections 目次のセクション
+ * @returns {Promise<Buffer>}
+ */
+export async function finishBookletPdf(pdf, sections = []) {
+  const doc = await PDFDocument.load(pdf);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const size = 9;
+  doc.getPages().forEach((page, index) => {
+    // 表紙には入れない
+    if (index === 0) return;
+    const text = String(index + 1);
+    page.drawText(text, {
+      x: (page.getWidth() - font.widthOfTextAtSize(text, size)) / 2,
+      y: 4 * MM_TO_PT,
+      size,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  });
+
+  const destinations = readNamedDestinations(doc);
+  const entries = sections
+    .filter(section => destinations[section.id])
+    .map(section => ({ title: section.title, page: destinations[section.id] }));
+  if (entries.length) addOutline(doc, entries);
+  return Buffer.from(await doc.save());
+}
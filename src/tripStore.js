@@ -0,0 +1,273 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, writeFile, rename, rm, readdir } from 'node:fs/promises';
+import path from 'node:path';
+
+// 旅行データの保存（ファイルシステム）
+// <TRIP_STORE_DIR>/<tripId>/trip.json に旅行データと添付ファイルの一覧を、
+// images/ receipts/ artifacts/ に添付ファイル本体を置く
+
+const STORE_DIR = path.resolve(process.env.TRIP_STORE_DIR || 'storage/trips');
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// 生成物の種類 → 保存形式（download: 取得時に添付ファイルとして返す）
+export const TRIP_ARTIFACTS = {
+  cover: { file: 'cover.png', mimeType: 'image/png' },
+  impression: { file: 'impression.json', mimeType: 'application/json' },
+  itinerary: { file: 'itinerary.json', mimeType: 'application/json' },
+  pdf: { file: 'shiori.pdf', mimeType: 'application/pdf', download: true },
+  html: { file: 'shiori.html', mimeType: 'text/html; charset=utf-8' },
+  epub: { file: 'shiori.epub', mimeType: 'application/epub+zip', download: true },
+};
+
+const tripDir = (id) => path.join(STORE_DIR, id);
+const metaPath = (id) => path.join(tripDir(id), 'trip.json');
+
+// 旅行ごとの更新を直列にする（同時に更新されても上書きで消えないように）
+const locks = new Map();
+function withTripLock(id, task) {
+  const prev = locks.get(id) || Promise.resolve();
+  const next = prev.then(task, task);
+  const tail = next.catch(() => {});
+  locks.set(id, tail);
+  tail.then(() => {
+    if (locks.get(id) === tail) locks.delete(id);
+  });
+  return next;
+}
+
+function notFoundError(message = 'trip does not exist') {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+// 途中で落ちても壊れたファイルが残らないよう、一時ファイルに書いてから置き換える
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, file);
+}
+
+async function readMeta(id) {
+  if (!ID_PATTERN.test(String(id))) throw notFoundError();
+  try {
+    return JSON.parse(await readFile(metaPath(id), 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT') throw notFoundError();
+    throw error;
+  }
+}
+
+async function writeMeta(meta) {
+  meta.updatedAt = new Date().toISOString();
+  await writeFileAtomic(metaPath(meta.id), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+// 旅行データを読み込み、mutate で変更して保存する
+function updateMeta(id, mutate) {
+  return withTripLock(id, async () => {
+    const meta = await readMeta(id);
+    const result = await mutate(meta);
+    await writeMeta(meta);
+    return result === undefined ? meta : result;
+  });
+}
+
+// 添付ファイルを保存して一覧用の情報を返す
+async function saveFile(id, kind, file) {
+  const fileId = randomUUID();
+  await mkdir(path.join(tripDir(id), kind), { recursive: true });
+  await writeFileAtomic(path.join(tripDir(id), kind, fileId), file.data);
+  return {
+    id: fileId,
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    size: file.data.length,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 旅行を作る
+ * @param {{detail: object, images?: {data: Buffer, mimeType: string, fileName?: string}[], owner?: string|null}} input
+ *   owner: 旅行を作ったクライアントの id（認証しないときは null）
+ * @returns {Promise<object>} 保存した旅行データ（trip.json の内容）
+ */
+export async function createTrip({ detail, images = [], owner = null }) {
+  const id = randomUUID();
+  await mkdir(tripDir(id), { recursive: true });
+  const now = new Date().toISOString();
+  const meta = { id, owner, createdAt: now, updatedAt: now, detail, images: [], receipts: [], artifacts: {} };
+  for (const image of images) {
+    meta.images.push(await saveFile(id, 'images', image));
+  }
+  return writeMeta(meta);
+}
+
+/**
+ * 旅行を取得する（存在しなければ status 404 の Error）
+ * @param {string} id
+ */
+export function getTrip(id) {
+  return readMeta(id);
+}
+
+/**
+ * 保存されている旅行の一覧（更新の新しい順）
+ * @returns {Promise<object[]>}
+ */
+export async function listTrips() {
+  let names;
+  try {
+    names = await readdir(STORE_DIR);
+  } catch (error) {
+    if (error?.code === 'ENOENT') return [];
+    throw error;
+  }
+  const trips = await Promise.all(names
+    .filter(name => ID_PATTERN.test(name))
+    .map(name => readMeta(name).catch(() => null)));
+  return trips.filter(Boolean).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * 旅行データ（detailJson）を置き換える。添付ファイルと生成物はそのまま残す
+ * @param {string} id
+ * @param {object|((current: object) => object)} detail 新しい detailJson、または今の detailJson から作る関数
+ */
+export function updateTripDetail(id, detail) {
+  return updateMeta(id, meta => {
+    meta.detail = typeof detail === 'function' ? detail(meta.detail) : detail;
+  });
+}
+
+/**
+ * 旅行を削除する（添付ファイル・生成物も消す）
+ * @param {string} id
+ */
+export function deleteTrip(id) {
+  return withTripLock(id, async () => {
+    await readMeta(id);
+    await rm(tripDir(id), { recursive: true, force: true });
+  });
+}
+
+/**
+ * 写真を追加する
+ * @param {string} id
+ * @param {{data: Buffer, mimeType: string, fileName?: string}[]} images
+ * @param {number} [maxImages] 1つの旅行に保存できる写真の上限
+ * @returns {Promise<object[]>} 追加した写真の情報
+ */
+export function addTripImages(id, images, maxImages = Infinity) {
+  return updateMeta(id, async meta => {
+    if (meta.images.length + images.length > maxImages) {
+      const error = new Error(`too many images (max ${maxImages})`);
+      error.status = 400;
+      throw error;
+    }
+    const added = [];
+    for (const image of images) {
+      added.push(await saveFile(id, 'images', image));
+    }
+    meta.images.push(...added);
+    return added;
+  });
+}
+
+/**
+ * レシート画像と読取結果を追加する
+ * @param {string} id
+ * @param {{data: Buffer, mimeType: string, fileName?: string, result: object}[]} receipts
+ * @returns {Promise<object[]>} 追加したレシートの情報
+ */
+export function addTripReceipts(id, receipts) {
+  return updateMeta(id, async meta => {
+    const added = [];
+    for (const receipt of receipts) {
+      added.push({ ...await saveFile(id, 'receipts', receipt), result: receipt.result });
+    }
+    meta.receipts.push(...added);
+    return added;
+  });
+}
+
+/**
+ * 添付ファイル（写真・レシート）を削除する
+ * @param {string} id
+ * @param {'images'|'receipts'} kind
+ * @param {string} fileId
+ */
+export function deleteTripFile(id, kind, fileId) {
+  return updateMeta(id, async meta => {
+    const index = meta[kind].findIndex(f => f.id === fileId);
+    if (index < 0) throw notFoundError(`${kind === 'images' ? 'image' : 'receipt'} does not exist`);
+    meta[kind].splice(index, 1);
+    await rm(path.join(tripDir(id), kind, fileId), { force: true });
+  });
+}
+
+/**
+ * 添付ファイル（写真・レシート）を読み込む
+ * @param {string} id
+ * @param {'images'|'receipts'} kind
+ * @param {string} fileId
+ * @returns {Promise<{info: object, data: Buffer}>}
+ */
+export async function readTripFile(id, kind, fileId) {
+  const meta = await readMeta(id);
+  const info = meta[kind].find(f => f.id === fileId);
+  if (!info) throw notFoundError(`${kind === 'images' ? 'image' : 'receipt'} does not exist`);
+  return { info, data: await readFile(path.join(tripDir(id), kind, fileId)) };
+}
+
+/**
+ * 旅行の写真をすべて読み込む（しおり生成の入力の形で、保存順）
+ * @param {object} meta getTrip の戻り値
+ * @returns {Promise<{id: string, data: Buffer, mimeType: string, clientId?: string, index: number}[]>}
+ */
+export function loadTripPhotos(meta) {
+  return Promise.all(meta.images.map(async (image, index) => ({
+    id: image.id,
+    data: await readFile(path.join(tripDir(meta.id), 'images', image.id)),
+    mimeType: image.mimeType,
+    fileName: image.fileName,
+    // clientId はファイル名（拡張子なし）として扱う
+    clientId: image.fileName ? image.fileName.replace(/\.[^.]+$/, '') : undefined,
+    index,
+  })));
+}
+
+/**
+ * 生成物を保存する
+ * @param {string} id
+ * @param {keyof TRIP_ARTIFACTS} name
+ * @param {Buffer|string} data
+ * @param {object} [info] 生成物と一緒に記録する情報（元にした写真など）
+ */
+export function saveTripArtifact(id, name, data, info = {}) {
+  const artifact = TRIP_ARTIFACTS[name];
+  return updateMeta(id, async meta => {
+    await mkdir(path.join(tripDir(id), 'artifacts'), { recursive: true });
+    await writeFileAtomic(path.join(tripDir(id), 'artifacts', artifact.file), data);
+    meta.artifacts[name] = { ...info, mimeType: artifact.mimeType, createdAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * 生成物を読み込む（まだ無ければ null）
+ * @param {object} meta getTrip の戻り値
+ * @param {keyof TRIP_ARTIFACTS} name
+ * @returns {Promise<Buffer|null>}
+ */
+export async function readTripArtifact(meta, name) {
+  const artifact = TRIP_ARTIFACTS[name];
+  if (!artifact || !meta.artifacts[name]) return null;
+  try {
+    return await readFile(path.join(tripDir(meta.id), 'artifacts', artifact.file));
+  } catch (error) {
+    if (error?.code === 'ENOENT') return null;
+    throw error;
+  }
+}
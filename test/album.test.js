@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchPhotosToMeta, renderAlbumSections } from '../src/album.js';
+
+// index 番目にアップロードした写真（中身は区別できればよい）
+const photo = (index, clientId) => ({ index, clientId, mimeType: 'image/jpeg', data: Buffer.from(`photo-${index}`) });
+
+// 各ページ（セクション）のレイアウトと写真の番号
+function pagesOf(html) {
+  return [...html.matchAll(/<section[^>]*>([\s\S]*?)<\/section>/g)].map(([, inner]) => ({
+    layout: inner.match(/album-grid--(\w+)/)[1],
+    photos: [...inner.matchAll(/base64,([^"]+)"/g)].map(m => Number(Buffer.from(m[1], 'base64').toString().slice('photo-'.length))),
+  }));
+}
+
+test('clientId が一致するエントリを優先し、残りはアップロード順で対応させる', () => {
+  const metas = [{ placeName: '清水寺' }, { clientId: 'IMG_0002', placeName: '金閣寺' }, { placeName: '伏見稲荷' }];
+  const matched = matchPhotosToMeta([photo(0, 'IMG_0002'), photo(1, 'IMG_0009'), photo(2)], metas);
+  assert.deepEqual(matched.map(m => m.meta.placeName), ['金閣寺', undefined, '伏見稲荷']);
+  // clientId で対応済みのエントリは順番では使わない
+  assert.deepEqual(matchPhotosToMeta([photo(0), photo(1, 'IMG_0002')], metas).map(m => m.meta.placeName), ['清水寺', '金閣寺']);
+  assert.deepEqual(matchPhotosToMeta([photo(0), photo(1)], [null, { clientId: 'IMG_0002' }])[0].meta, {});
+});
+
+test('auto は4枚ずつ並べ、残りが5枚なら3枚と2枚に分けて1枚だけのページを作らない', () => {
+  const pagesFor = (count) => pagesOf(renderAlbumSections(Array.from({ length: count }, (_, i) => photo(i)), []))
+    .map(page => page.photos.length);
+  assert.deepEqual(pagesFor(1), [1]);
+  assert.deepEqual(pagesFor(5), [3, 2]);
+  assert.deepEqual(pagesFor(8), [4, 4]);
+  assert.deepEqual(pagesFor(9), [4, 3, 2]);
+  assert.deepEqual(pagesFor(10), [4, 4, 2]);
+});
+
+test('レイアウトを指定したら1ページの枚数を固定し、端数のページは枚数に合うレイアウトにする', () => {
+  const photos = Array.from({ length: 5 }, (_, i) => photo(i));
+  assert.deepEqual(pagesOf(renderAlbumSections(photos, [], { layout: 'feature' })).map(page => page.layout), ['feature', 'stack']);
+  assert.deepEqual(pagesOf(renderAlbumSections(photos, [], { layout: 'grid' })).map(page => page.layout), ['grid', 'single']);
+  assert.deepEqual(pagesOf(renderAlbumSections(photos, [], { layout: 'unknown' })).map(page => page.layout), ['feature', 'stack']);
+});
+
+test('JST の日付ごとに撮影時刻順に並べ、日付の無い写真は最後にまとめる', () => {
+  const metas = [
+    { dateTime: '2025-09-13T09:00:00+09:00', placeName: '奈良公園' },
+    { placeName: '<お土産>' },
+    // 日本時間では 9/13 の 0:30
+    { dateTime: '2025-09-12T15:30:00Z', placeName: '旅館' },
+    { dateTime: '2025-09-12T10:00:00+09:00', placeName: '清水寺' },
+  ];
+  const html = renderAlbumSections([0, 1, 2, 3].map(i => photo(i)), metas);
+  assert.deepEqual(pagesOf(html).map(page => page.photos), [[3], [2, 0], [1]]);
+  assert.deepEqual([...html.matchAll(/<h3 class="sticker">([^<]+)<\/h3>/g)].map(m => m[1]), ['2025/09/12', '2025/09/13', '日付不明']);
+  assert.match(html, /<figcaption><span class="place">旅館<\/span><span class="time">00:30<\/span><\/figcaption>/);
+  assert.match(html, /alt="&lt;お土産&gt;"/);
+  // 見出しと id は最初のページにだけ付ける
+  assert.equal(html.match(/id="section-album"/g).length, 1);
+  assert.equal(html.match(/<h2>/g).length, 1);
+  assert.equal(renderAlbumSections([], metas), '');
+});
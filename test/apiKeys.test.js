@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consumeQuota } from '../src/apiKeys.js';
+
+// 2025-09-12 12:00:30（日本時間）
+const NOON = Date.UTC(2025, 8, 12, 3, 0, 30);
+const MINUTE = 60 * 1000;
+
+// 使用状況はクライアントの id ごとに数えるので、テストごとに別の id にする
+let seq = 0;
+const clientWith = (limit) => ({ id: `test-${++seq}`, limits: { booklet: limit } });
+
+const rejection = (limit, retryAfter) => (error) => {
+  assert.equal(error.status, 429);
+  assert.equal(error.limit, limit);
+  assert.equal(error.retryAfter, retryAfter);
+  return true;
+};
+
+test('1分あたりの上限を超えたら、次の1分までの秒数を付けて 429 にする', () => {
+  const client = clientWith({ perMinute: 2, perDay: null });
+  consumeQuota(client, 'booklet', NOON);
+  consumeQuota(client, 'booklet', NOON + 1000);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON + 2000), rejection('perMinute', 28));
+  // 断った分は数えないので、次の1分には2回使える
+  consumeQuota(client, 'booklet', NOON + MINUTE);
+  consumeQuota(client, 'booklet', NOON + MINUTE);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON + MINUTE), rejection('perMinute', 30));
+});
+
+test('1日あたりの上限は日本時間の0時で区切る', () => {
+  const client = clientWith({ perMinute: null, perDay: 2 });
+  consumeQuota(client, 'booklet', NOON);
+  consumeQuota(client, 'booklet', NOON + 5 * MINUTE);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON + 10 * MINUTE), rejection('perDay', 12 * 60 * 60 - 30 - 10 * 60));
+  // 日本時間の0時（UTC の15時）を過ぎれば使える
+  consumeQuota(client, 'booklet', Date.UTC(2025, 8, 12, 15, 0, 0));
+});
+
+test('上限が null なら制限しない', () => {
+  const client = clientWith({ perMinute: null, perDay: null });
+  for (let i = 0; i < 100; i++) consumeQuota(client, 'booklet', NOON);
+});
+
+test('戻り値の関数で使った1回を戻せる（2回呼んでも1回分だけ）', () => {
+  const client = clientWith({ perMinute: 1, perDay: 5 });
+  const refund = consumeQuota(client, 'booklet', NOON);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON), rejection('perMinute', 30));
+  refund();
+  refund();
+  consumeQuota(client, 'booklet', NOON);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON), rejection('perMinute', 30));
+});
+
+test('1分が変わってから戻したときは、今の1分の回数は減らさず今日の回数だけ戻す', () => {
+  const client = clientWith({ perMinute: 1, perDay: 2 });
+  const refund = consumeQuota(client, 'booklet', NOON);
+  consumeQuota(client, 'booklet', NOON + MINUTE);
+  refund();
+  assert.throws(() => consumeQuota(client, 'booklet', NOON + MINUTE), rejection('perMinute', 30));
+  consumeQuota(client, 'booklet', NOON + 2 * MINUTE);
+  assert.throws(() => consumeQuota(client, 'booklet', NOON + 3 * MINUTE), (error) => error.limit === 'perDay');
+});
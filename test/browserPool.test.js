@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// プールの大きさ・待ちの上限は読み込むときに決まるので、小さくしてから読み込む
+process.env.BROWSER_POOL_SIZE = '1';
+process.env.BROWSER_QUEUE_MAX = '2';
+const { runInBrowser, checkBrowserQueue, getBrowserPoolStats, closeBrowserPool } = await import('../src/browserPool.js');
+
+// 描画は失敗させる（Chromium が無くても起動の失敗で同じように終わる。どちらも見積もり用の平均には入らない）
+const failingRender = async () => { throw new Error('render failed'); };
+
+// 描画が終わった順（成功・失敗を問わない）を order に記録する
+const track = (order, name, promise) => promise.then(
+  () => { order.push(name); },
+  (error) => { order.push(name); return error; },
+);
+
+const isStatus = (status) => (error) => error?.status === status;
+
+test('空きが無ければ先着順に待たせ、待ちがいっぱいなら Retry-After 付きの 429 にする', { timeout: 60000 }, async () => {
+  const order = [];
+  const running = [1, 2, 3].map(n => track(order, n, runInBrowser(failingRender)));
+  const { busy, queued, maxQueue } = getBrowserPoolStats();
+  assert.deepEqual({ busy, queued, maxQueue }, { busy: 1, queued: 2, maxQueue: 2 });
+  // 描画1回の目安（平均が無いうちは10秒）×（待ちの数 / プールの大きさ + 1）
+  assert.deepEqual(checkBrowserQueue(), { full: true, retryAfter: 30 });
+  await assert.rejects(runInBrowser(failingRender), (error) => {
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 30);
+    return true;
+  });
+
+  await Promise.all(running);
+  assert.deepEqual(order, [1, 2, 3]);
+  assert.equal(getBrowserPoolStats().busy, 0);
+  // 失敗した描画は見積もりに入れない
+  assert.deepEqual(checkBrowserQueue(), { full: false, retryAfter: 10 });
+});
+
+test('待っている間にキャンセルした描画は待ちから外し、実行しない', { timeout: 60000 }, async () => {
+  const controller = new AbortController();
+  let called = false;
+  const first = runInBrowser(failingRender).catch(() => {});
+  const cancelled = runInBrowser(async () => { called = true; }, controller.signal);
+  assert.equal(getBrowserPoolStats().queued, 1);
+  controller.abort(new Error('job cancelled'));
+  await assert.rejects(cancelled, /job cancelled/);
+  assert.equal(getBrowserPoolStats().queued, 0);
+  await first;
+  assert.equal(called, false);
+  // 中断済みのシグナルでは待ちにも入れない
+  await assert.rejects(runInBrowser(failingRender, controller.signal), /job cancelled/);
+});
+
+test('閉じるときは待っている描画を 503 で打ち切り、そのあとの描画も受け付けない', { timeout: 60000 }, async () => {
+  // 描画の終わりを待つタイマーはプロセスを止めないので（サーバーが動いている前提）、終わるまで保っておく
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    const first = runInBrowser(failingRender).catch(() => {});
+    const waiting = runInBrowser(failingRender);
+    const closed = closeBrowserPool({ graceMs: 30000 });
+    await assert.rejects(waiting, isStatus(503));
+    await assert.rejects(runInBrowser(failingRender), isStatus(503));
+    assert.equal(checkBrowserQueue().full, true);
+    await first;
+    await closed;
+  } finally {
+    clearInterval(keepAlive);
+  }
+  assert.deepEqual(getBrowserPoolStats(), { size: 1, busy: 0, queued: 0, maxQueue: 2, browsers: 0, closing: true });
+});
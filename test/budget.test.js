@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { summarizeAllowance, normalizeBudget, UNCATEGORIZED, UNKNOWN_DAY } from '../src/budget.js';
+
+const entry = (total, extra = {}) => ({ title: '支出', items: '', total, ...extra });
+
+test('予算が無ければ使った金額を1000円単位で切り上げた額を予算にする', () => {
+  const summary = summarizeAllowance([entry(800), entry(434)]);
+  assert.equal(summary.budgetTotal, 2000);
+  assert.equal(summary.isDefaultBudget, true);
+  assert.equal(summary.spentTotal, 1234);
+  assert.equal(summary.remain, 766);
+  assert.equal(summary.over, false);
+});
+
+test('円以外は10単位で切り上げ、足し引きの誤差を丸める', () => {
+  const summary = summarizeAllowance([entry(0.1), entry(0.2), entry(12.05)], undefined, { currency: 'USD' });
+  assert.equal(summary.budgetUnit, 10);
+  assert.equal(summary.spentTotal, 12.35);
+  assert.equal(summary.budgetTotal, 20);
+  assert.deepEqual(summary.rows.map(r => r.remain), [19.9, 19.7, 7.65]);
+});
+
+test('予算の総額は total → 班員ごとの合計 → 日ごとの合計 の順に決める', () => {
+  const members = [{ name: 'A', amount: 3000 }, { name: 'B', amount: '2000' }];
+  const days = [{ date: '2025-09-12', amount: 4000 }];
+  assert.equal(summarizeAllowance([], '5000').budgetTotal, 5000);
+  assert.equal(summarizeAllowance([], { total: 6000, members, days }).budgetTotal, 6000);
+  assert.equal(summarizeAllowance([], { members, days }).budgetTotal, 5000);
+  assert.equal(summarizeAllowance([], { days }).budgetTotal, 4000);
+  assert.equal(summarizeAllowance([], { days }).isDefaultBudget, false);
+});
+
+test('読めない班員・日の予算は捨てる', () => {
+  assert.deepEqual(normalizeBudget({
+    members: [{ name: 'A', amount: 'たくさん' }, { amount: 100 }, { name: 'B', amount: 500 }],
+    days: [{ date: 'きのう', amount: 100 }, { date: '2025-09-12', amount: 300 }],
+  }), {
+    total: null,
+    members: [{ name: 'B', amount: 500 }],
+    days: [{ date: '2025-09-12', amount: 300 }],
+  });
+  assert.deepEqual(normalizeBudget(null), { total: null, members: [], days: [] });
+});
+
+test('残金は入力順に差し引き、超えたところから over にする', () => {
+  const summary = summarizeAllowance([entry(600), entry(300), entry(200)], 1000);
+  assert.deepEqual(summary.rows.map(r => [r.remain, r.over]), [[400, false], [100, false], [-100, true]]);
+  assert.equal(summary.remain, -100);
+  assert.equal(summary.over, true);
+});
+
+test('カテゴリ別・日別に集計し、日ごとの予算があれば残金と超過を出す', () => {
+  const summary = summarizeAllowance([
+    entry(500, { category: '食事', date: '2025-09-13' }),
+    entry(300, { date: '2025-09-12' }),
+    entry(200, { category: '食事' }),
+    entry(700, { category: '交通', date: '2025-09-12' }),
+  ], { days: [{ date: '2025-09-12', amount: 900 }, { date: '2025-09-14', amount: 500 }] });
+  assert.deepEqual(summary.byCategory, [
+    { category: '食事', total: 700 },
+    { category: UNCATEGORIZED, total: 300 },
+    { category: '交通', total: 700 },
+  ]);
+  assert.deepEqual(summary.byDay, [
+    { date: '2025-09-12', total: 1000, budget: 900, remain: -100, over: true },
+    { date: '2025-09-13', total: 500, budget: null, remain: null, over: false },
+    { date: '2025-09-14', total: 0, budget: 500, remain: 500, over: false },
+    { date: UNKNOWN_DAY, total: 200, budget: null, remain: null, over: false },
+  ]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+// レート表は読み込むときに決まるので、テスト用の表を指定してから読み込む
+process.env.EXCHANGE_RATES_FILE = fileURLToPath(new URL('./fixtures/exchangeRates.json', import.meta.url));
+const { createCurrencyConverter, findUnconvertibleCurrencies, roundMoney, formatMoney, formatRate } = await import('../src/currency.js');
+
+test('基準通貨は JPY が既定で、通貨の無い金額は基準通貨とみなす', () => {
+  const converter = createCurrencyConverter({});
+  assert.equal(converter.home, 'JPY');
+  assert.equal(converter.currencyOf(undefined), 'JPY');
+  assert.equal(converter.currencyOf(' usd '), 'USD');
+  assert.deepEqual(converter.rateOf('JPY'), { rate: 1, source: 'same' });
+  assert.equal(converter.convert(1234), 1234);
+});
+
+test('旅行データのレートを表より優先し、無い通貨は表から換算する', () => {
+  const converter = createCurrencyConverter({ exchangeRates: { usd: 145, EUR: 'x', KRW: -1 } });
+  assert.deepEqual(converter.rateOf('USD'), { rate: 145, source: 'trip' });
+  // 数でない・正でないレートは無視して表を使う
+  assert.deepEqual(converter.rateOf('EUR'), { rate: 160, source: 'table' });
+  assert.deepEqual(converter.rateOf('KRW'), { rate: 0.1, source: 'table' });
+  assert.equal(converter.convert(12.5, 'USD'), 1813);
+  assert.equal(converter.convert(1234, 'KRW'), 123);
+  assert.equal(converter.rateOf('GBP'), null);
+  assert.equal(converter.convert(10, 'GBP'), null);
+});
+
+test('円以外の基準通貨では表のレートを割って求め、最小単位で丸める', () => {
+  const converter = createCurrencyConverter({ currency: 'usd' });
+  assert.equal(converter.home, 'USD');
+  assert.deepEqual(converter.rateOf('JPY'), { rate: 1 / 150, source: 'table' });
+  assert.equal(converter.convert(1000, 'JPY'), 6.67);
+  assert.equal(converter.convert(10, 'EUR'), 10.67);
+  assert.equal(converter.convert(3.5), 3.5);
+});
+
+test('換算できない通貨の支出を検証エラーと同じ形で返す', () => {
+  const trip = {
+    exchangeRates: { THB: 4.5 },
+    allowance: [
+      { title: '屋台', total: 100, currency: 'THB' },
+      { title: '昼食', total: 1000 },
+      { title: 'お土産', total: 20, currency: 'GBP' },
+    ],
+  };
+  assert.deepEqual(findUnconvertibleCurrencies(trip), [
+    { path: '/trip/allowance/2/currency', message: 'no exchange rate for GBP to JPY (set trip.exchangeRates.GBP)' },
+  ]);
+  assert.deepEqual(findUnconvertibleCurrencies(undefined), []);
+});
+
+test('金額は通貨の最小単位で丸め、日本語の円は「円」を付けて表示する', () => {
+  assert.equal(roundMoney(1234.5, 'JPY'), 1235);
+  assert.equal(roundMoney(12.345, 'USD'), 12.35);
+  assert.equal(roundMoney(1.2345, 'BHD'), 1.235);
+  assert.equal(formatMoney(1234567), '1,234,567円');
+  assert.equal(formatMoney(12.5, 'USD', 'en'), '$12.50');
+  assert.equal(formatRate(147), '147円');
+  assert.equal(formatRate(0.10612, 'JPY'), '0.1061円');
+  assert.equal(formatRate(0.5, 'USD', 'en'), '0.5 USD');
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'node:zlib';
+
+import { htmlToEpub } from '../src/epub.js';
+
+// ローカルヘッダを先頭から順に読み、名前 → 中身・圧縮方法にする（大きさ・CRC は test/zip.test.js で確かめている）
+function readEntries(zip) {
+  const entries = new Map();
+  for (let pos = 0; zip.readUInt32LE(pos) === 0x04034b50; ) {
+    const method = zip.readUInt16LE(pos + 8);
+    const compressedSize = zip.readUInt32LE(pos + 18);
+    const nameLength = zip.readUInt16LE(pos + 26);
+    const name = zip.toString('utf8', pos + 30, pos + 30 + nameLength);
+    const start = pos + 30 + nameLength + zip.readUInt16LE(pos + 28);
+    const body = zip.subarray(start, start + compressedSize);
+    entries.set(name, { method, data: method === 0 ? Buffer.from(body) : inflateRawSync(body) });
+    pos = start + compressedSize;
+  }
+  return entries;
+}
+
+const PNG = Buffer.from('iVBORw0KGgo=', 'base64');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xd9]);
+
+// generateHtmlFromJson と同じ形の HTML
+const bookletHtml = ({ cover = `<img class="cover-image" src="data:image/png;base64,${PNG.toString('base64')}" alt="Cover Image" />` } = {}) => `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <title>修学旅行のしおり</title>
+</head>
+<body>
+  <div class="container">
+    <div class="page">
+    ${cover}
+    </div>
+    <section class="section sheet toc">
+      <h2>もくじ</h2>
+    </section>
+    <section class="section sheet" id="section-schedule">
+      <h2>日程</h2>
+      <p>9月12日〜13日<br>京都 &amp; 奈良 & 大阪</p>
+    </section>
+    <section class="section sheet album" id="section-album">
+      <h2>アルバム</h2>
+      <img src="data:image/jpeg;base64,${JPEG.toString('base64')}" alt="清水寺">
+    </section>
+    <section class="section sheet album">
+      <img src="data:image/jpeg;base64,${JPEG.toString('base64')}" alt="金閣寺">
+    </section>
+  </div>
+</body>
+</html>`;
+
+test('mimetype を先頭に無圧縮で置き、container.xml から content.opf を指す', () => {
+  const zip = htmlToEpub(bookletHtml());
+  const entries = readEntries(zip);
+  assert.equal([...entries.keys()][0], 'mimetype');
+  assert.equal(entries.get('mimetype').method, 0);
+  assert.equal(entries.get('mimetype').data.toString(), 'application/epub+zip');
+  assert.match(entries.get('META-INF/container.xml').data.toString(), /full-path="OEBPS\/content\.opf"/);
+  assert.ok(entries.has('OEBPS/style.css'));
+});
+
+test('目次ページは使わず、id のあるセクションごとに章を作り、続きのページは直前の章にまとめる', () => {
+  const entries = readEntries(htmlToEpub(bookletHtml()));
+  const names = [...entries.keys()].filter(name => name.endsWith('.xhtml'));
+  assert.deepEqual(names, ['OEBPS/nav.xhtml', 'OEBPS/cover.xhtml', 'OEBPS/chapter-1.xhtml', 'OEBPS/chapter-2.xhtml']);
+
+  const nav = entries.get('OEBPS/nav.xhtml').data.toString();
+  assert.deepEqual([...nav.matchAll(/<li><a href="([^"]+)">([^<]+)<\/a><\/li>/g)].map(m => [m[1], m[2]]), [
+    ['chapter-1.xhtml', '日程'],
+    ['chapter-2.xhtml', 'アルバム'],
+  ]);
+  assert.doesNotMatch(nav, /もくじ/);
+
+  // 空要素を閉じ、エスケープされていない & を直す
+  const schedule = entries.get('OEBPS/chapter-1.xhtml').data.toString();
+  assert.match(schedule, /<html xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"[^>]* lang="ja">/);
+  assert.match(schedule, /13日<br \/>京都 &amp; 奈良 &amp; 大阪/);
+  const album = entries.get('OEBPS/chapter-2.xhtml').data.toString();
+  assert.deepEqual([...album.matchAll(/<img src="([^"]+)" alt="([^"]+)" \/>/g)].map(m => [m[1], m[2]]), [
+    ['images/image-2.jpg', '清水寺'],
+    ['images/image-3.jpg', '金閣寺'],
+  ]);
+});
+
+test('埋め込みの画像をファイルに出し、表紙の画像を cover-image にする', () => {
+  const modified = new Date('2025-09-12T03:00:00.123Z');
+  const entries = readEntries(htmlToEpub(bookletHtml(), { modified }));
+  assert.deepEqual(entries.get('OEBPS/images/image-1.png').data, PNG);
+  assert.deepEqual(entries.get('OEBPS/images/image-3.jpg').data, JPEG);
+
+  const opf = entries.get('OEBPS/content.opf').data.toString();
+  assert.match(opf, /<dc:title>修学旅行のしおり<\/dc:title>/);
+  assert.match(opf, /<meta property="dcterms:modified">2025-09-12T03:00:00Z<\/meta>/);
+  assert.match(opf, /<item id="images-image-1-png" href="images\/image-1\.png" media-type="image\/png" properties="cover-image" \/>/);
+  assert.match(opf, /<item id="images-image-2-jpg" href="images\/image-2\.jpg" media-type="image\/jpeg" \/>/);
+  assert.deepEqual([...opf.matchAll(/<itemref idref="([^"]+)" \/>/g)].map(m => m[1]), ['cover-xhtml', 'chapter-1-xhtml', 'chapter-2-xhtml']);
+});
+
+test('描いた SVG の表紙は画像にせず、表紙の章に svg の属性を付ける', () => {
+  const entries = readEntries(htmlToEpub(bookletHtml({ cover: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>' })));
+  const opf = entries.get('OEBPS/content.opf').data.toString();
+  assert.match(opf, /<item id="cover-xhtml" href="cover\.xhtml" media-type="application\/xhtml\+xml" properties="svg" \/>/);
+  assert.doesNotMatch(opf, /cover-image/);
+  assert.ok(entries.has('OEBPS/images/image-1.jpg'));
+});
@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+import { extractPhotoMetadata, enrichDetailFromPhotos, placeKey } from '../src/exif.js';
+import { setPlaceResolver } from '../src/places.js';
+
+after(() => setPlaceResolver(null));
+
+// 撮影日時・GPS座標（度/分/秒の有理数）を EXIF に書いた小さな JPEG
+function jpegWithExif({ dateTime, offset, latitude, longitude } = {}) {
+  const exif = {};
+  if (dateTime) exif.IFD2 = { DateTimeOriginal: dateTime, ...(offset ? { OffsetTimeOriginal: offset } : {}) };
+  if (latitude) exif.IFD3 = { GPSLatitudeRef: 'N', GPSLatitude: latitude, GPSLongitudeRef: 'E', GPSLongitude: longitude };
+  return sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } }).jpeg().withExif(exif).toBuffer();
+}
+
+// 清水寺の辺り（34°59'48.24" N, 135°47'18" E）
+const KIYOMIZU = { latitude: '34/1 59/1 4824/100', longitude: '135/1 47/1 1800/100' };
+
+test('JPEG・WebP の EXIF から撮影日時と座標を取り出す（オフセットが無ければ日本時間とみなす）', async () => {
+  const jpeg = await jpegWithExif({ dateTime: '2025:09:12 10:15:30', offset: '+02:00', ...KIYOMIZU });
+  const metadata = await extractPhotoMetadata(jpeg);
+  assert.equal(metadata.dateTime, '2025-09-12T10:15:30+02:00');
+  assert.ok(Math.abs(metadata.latitude - 34.996733) < 1e-6);
+  assert.ok(Math.abs(metadata.longitude - 135.788333) < 1e-6);
+  assert.equal(placeKey(metadata.latitude, metadata.longitude), '34.9967,135.7883');
+
+  const webp = await sharp(jpeg).webp().keepExif().toBuffer();
+  assert.equal((await extractPhotoMetadata(webp)).dateTime, '2025-09-12T10:15:30+02:00');
+
+  assert.equal((await extractPhotoMetadata(await jpegWithExif({ dateTime: '2025:09:12 10:15:30' }))).dateTime, '2025-09-12T10:15:30+09:00');
+});
+
+test('EXIF の無い写真・画像でないデータは null を返す', async () => {
+  const { dateTime, latitude, longitude } = await extractPhotoMetadata(await jpegWithExif());
+  assert.deepEqual({ dateTime, latitude, longitude }, { dateTime: null, latitude: null, longitude: null });
+  assert.deepEqual(await extractPhotoMetadata(Buffer.from('not an image')), { dateTime: null, latitude: null, longitude: null, orientation: null });
+});
+
+test('足りない項目だけを EXIF で補い、対応するエントリの無い写真は追加する', async () => {
+  const lookups = [];
+  setPlaceResolver(async (latitude, longitude) => {
+    lookups.push(placeKey(latitude, longitude));
+    return '清水寺';
+  });
+  const photos = [
+    { index: 0, clientId: 'IMG_0001', data: await jpegWithExif({ dateTime: '2025:09:12 10:15:30', ...KIYOMIZU }) },
+    { index: 1, clientId: 'IMG_0002', data: await jpegWithExif({ dateTime: '2025:09:13 23:30:00', offset: '-01:00' }) },
+    { index: 2, data: await jpegWithExif({ dateTime: '2025:09:12 11:00:00', ...KIYOMIZU }) },
+  ];
+  const detail = {
+    trip: { endDate: '2025-09-20' },
+    images: [
+      { clientId: 'IMG_0001', dateTime: '2025-09-12T09:00:00+09:00' },
+      { clientId: 'IMG_0002', placeName: '嵐山' },
+    ],
+  };
+  const enriched = await enrichDetailFromPhotos(detail, photos);
+
+  // 書いてある値はそのまま、無い値だけを補う
+  assert.equal(enriched.images[0].dateTime, '2025-09-12T09:00:00+09:00');
+  assert.equal(enriched.images[0].placeName, '清水寺');
+  assert.equal(enriched.images[1].dateTime, '2025-09-13T23:30:00-01:00');
+  assert.equal(enriched.images[1].placeName, '嵐山');
+  // 対応するエントリが無い写真はアップロード順の clientId で追加する
+  assert.deepEqual(enriched.images[2], { clientId: 'photo-2', dateTime: '2025-09-12T11:00:00+09:00', latitude: enriched.images[0].latitude, longitude: enriched.images[0].longitude, placeName: '清水寺' });
+  assert.equal(photos[2].clientId, 'photo-2');
+  // 同じ地点は1回だけ引く
+  assert.deepEqual(lookups, ['34.9967,135.7883']);
+  // 開始日は撮影日（日本時間）から入れ、書いてある終了日は変えない
+  assert.deepEqual(enriched.trip, { startDate: '2025-09-12', endDate: '2025-09-20' });
+  // 元のオブジェクトは変更しない
+  assert.equal(detail.images.length, 2);
+  assert.equal(detail.images[0].placeName, undefined);
+  assert.equal(detail.trip.startDate, undefined);
+});
+
+test('場所名を引けなかった写真は場所名を空のままにする', async () => {
+  setPlaceResolver(async () => { throw new Error('place API is down'); });
+  const enriched = await enrichDetailFromPhotos({}, [{ index: 0, data: await jpegWithExif({ dateTime: '2025:09:14 08:00:00', ...KIYOMIZU }) }]);
+  assert.equal(enriched.images.length, 1);
+  assert.equal(enriched.images[0].clientId, 'photo-0');
+  assert.equal(enriched.images[0].placeName, undefined);
+  assert.deepEqual(enriched.trip, { startDate: '2025-09-14', endDate: '2025-09-14' });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildItinerary, validateItinerary, validatePlaceNames, renamePlaces, UNKNOWN_DATE, UNKNOWN_PLACE,
+} from '../src/itinerary.js';
+
+const images = [
+  { dateTime: '2025-09-12T10:40:00+09:00', placeName: '清水寺' },
+  { dateTime: '2025-09-12T10:10:00+09:00', placeName: '清水寺' },
+  { dateTime: '2025-09-12T10:20:00+09:00', placeName: ' 清水寺 ' },
+  { dateTime: '2025-09-12T12:05:00+09:00', latitude: 35.0037, longitude: 135.7788 },
+  { dateTime: '2025-09-12T12:15:00+09:00', placeName: '八坂神社', latitude: 35.0040, longitude: 135.7790 },
+  { dateTime: '2025-09-12T13:00:00+09:00', latitude: 34.9671, longitude: 135.7727 },
+  { dateTime: '2025-09-12T14:59:00Z', placeName: '京都駅' },
+  { dateTime: '2025-09-12T15:10:00Z', placeName: '京都駅' },
+  { placeName: '伏見稲荷大社' },
+  { placeName: '伏見稲荷大社' },
+  { dateTime: 'きのう' },
+];
+
+test('日本時間の日ごと・撮影時刻の順に並べ、同じ場所での連続した撮影をまとめる', () => {
+  assert.deepEqual(buildItinerary(images), {
+    days: [
+      {
+        date: '2025-09-12',
+        details: [
+          { startTime: '10:00', place: '清水寺' },
+          // 名前の無い写真は、100m以内で続けて撮った写真の名前になる
+          { startTime: '12:00', place: '八坂神社' },
+          { startTime: '13:00', place: UNKNOWN_PLACE },
+          { startTime: '23:30', place: '京都駅' },
+        ],
+      },
+      // 日本時間の0時をまたいだら同じ場所でも別の日
+      { date: '2025-09-13', details: [{ startTime: '00:00', place: '京都駅' }] },
+      // 撮影日時の無い写真は場所ごとに1つ。日時も場所も無いものは載せない
+      { date: UNKNOWN_DATE, details: [{ startTime: '', place: '伏見稲荷大社' }] },
+    ],
+  });
+});
+
+test('間に別の場所があれば同じ場所でもまとめない', () => {
+  const { days } = buildItinerary([
+    { dateTime: '2025-09-12T09:00:00+09:00', placeName: '金閣寺' },
+    { dateTime: '2025-09-12T09:10:00+09:00', placeName: '龍安寺' },
+    { dateTime: '2025-09-12T09:20:00+09:00', placeName: '金閣寺' },
+  ]);
+  assert.deepEqual(days[0].details.map(d => d.place), ['金閣寺', '龍安寺', '金閣寺']);
+});
+
+test('同じ入力からは同じ行程になり、入力が無ければ空', () => {
+  assert.deepEqual(buildItinerary(images), buildItinerary(images));
+  assert.deepEqual(buildItinerary(undefined), { days: [] });
+});
+
+test('組み立てた行程は検証を通り、入力に無い日付・場所や30分単位でない時刻は誤りになる', () => {
+  const named = images.filter(image => image.placeName);
+  const built = buildItinerary(named);
+  assert.deepEqual(validateItinerary({ days: built.days.filter(day => day.date !== UNKNOWN_DATE) }, named), { valid: true, errors: [] });
+
+  const result = validateItinerary({
+    days: [
+      { date: '2025-09-12', details: [{ startTime: '10:15', place: '清水寺' }, { startTime: '11:00', place: '金閣寺' }] },
+      { date: '2025-09-20', details: [] },
+      { date: '9/12', details: 'none' },
+    ],
+  }, named);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(e => e.path), [
+    '/days/0/details/0/startTime',
+    '/days/0/details/1/place',
+    '/days/1/date',
+    '/days/2/date',
+    '/days/2/details',
+  ]);
+  assert.deepEqual(validateItinerary({}, named).errors, [{ path: '/days', message: 'must be array' }]);
+});
+
+test('場所名の言い換えは入力にある名前の、空でも長すぎもしないものだけ使う', () => {
+  const names = validatePlaceNames({
+    names: { 清水寺: ' 清水寺（音羽山） ', 八坂神社: '', 京都駅: 'x'.repeat(41), 金閣寺: '鹿苑寺', 伏見稲荷大社: 1 },
+  }, ['清水寺', '八坂神社', '京都駅', '伏見稲荷大社']);
+  assert.deepEqual([...names], [['清水寺', '清水寺（音羽山）']]);
+
+  const itinerary = { days: [{ date: '2025-09-12', details: [{ startTime: '10:00', place: '清水寺' }, { startTime: '12:00', place: '八坂神社' }] }] };
+  const renamed = renamePlaces(itinerary, names);
+  assert.deepEqual(renamed.days[0].details.map(d => d.place), ['清水寺（音羽山）', '八坂神社']);
+  assert.equal(itinerary.days[0].details[0].place, '清水寺');
+  assert.deepEqual(validatePlaceNames(null, ['清水寺']), new Map());
+  assert.deepEqual(validatePlaceNames({ names: null }, ['清水寺']), new Map());
+  assert.deepEqual(validatePlaceNames({ names: '清水寺' }, ['清水寺']), new Map());
+});
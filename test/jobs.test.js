@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventListeners } from 'node:events';
+
+// 完了したジョブを保持する時間は読み込むときに決まるので、短くしてから読み込む
+process.env.JOB_TTL_MS = '100';
+const { createJob, getJob, cancelJob, toJobStatus, countActiveJobs, getFallbackStages } = await import('../src/jobs.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// signal が中断されるまで終わらない処理
+const untilAborted = (signal) => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+test('ジョブはすぐに queued で返り、終わると結果の URL と期限を返す', async () => {
+  const job = createJob(async () => ({ format: 'pdf', pdf: Buffer.from('%PDF-'), pages: [Buffer.from('png')], skippedPhotos: [] }), {
+    stages: ['metadata', 'pdf'],
+  });
+  assert.equal(job.status, 'queued');
+  assert.equal(getJob(job.id), job);
+  assert.ok(countActiveJobs() >= 1);
+
+  await job.done;
+  const status = toJobStatus(job);
+  assert.equal(status.status, 'succeeded');
+  assert.equal(status.statusUrl, `/jobs/${job.id}`);
+  assert.equal(status.outputUrl, `/jobs/${job.id}/output`);
+  assert.equal(status.pdfUrl, `/jobs/${job.id}/pdf`);
+  assert.deepEqual(status.pageImageUrls, [`/jobs/${job.id}/pages/1`]);
+  assert.equal(status.format, 'pdf');
+  assert.equal(Date.parse(status.expiresAt) - Date.parse(status.finishedAt), 100);
+  // 実行しなかった予定のステージは skipped にして、進み具合は終わりにする
+  assert.equal(status.stages.metadata.status, 'skipped');
+  assert.deepEqual(status.progress, { completed: 2, total: 2 });
+});
+
+test('処理が失敗したら failed にして理由を返す（原因の Error はクライアントに返さない）', async () => {
+  const error = Object.assign(new Error('browser queue is full'), { status: 429 });
+  const job = createJob(async () => { throw error; });
+  await job.done;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.cause, error);
+  const status = toJobStatus(job);
+  assert.equal(status.error, 'browser queue is full');
+  assert.equal(status.outputUrl, null);
+  assert.equal('cause' in status, false);
+});
+
+test('実行中にキャンセルすると処理のシグナルを中断し、途中のステージも cancelled にする', async () => {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const job = createJob(({ stage }) => stage('cover', (signal) => {
+    started();
+    return untilAborted(signal);
+  }));
+  await running;
+  assert.equal(job.status, 'running');
+
+  assert.equal(cancelJob(job.id), job);
+  assert.equal(job.status, 'cancelled');
+  await job.done;
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, null);
+  assert.equal(job.stages.cover.status, 'cancelled');
+  assert.equal(job.stages.pdf.status, 'cancelled');
+  // 終わったジョブはキャンセルしても変わらない
+  assert.equal(cancelJob(job.id).status, 'cancelled');
+});
+
+test('始まる前にキャンセルしたジョブの処理は呼ばない', async () => {
+  let called = false;
+  const job = createJob(async () => { called = true; });
+  cancelJob(job.id);
+  await job.done;
+  assert.equal(called, false);
+  assert.equal(job.status, 'cancelled');
+});
+
+test('期限を過ぎたジョブ・無いジョブは取得できない', async () => {
+  const job = createJob(async () => ({}));
+  await job.done;
+  assert.equal(getJob(job.id), job);
+  await sleep(150);
+  assert.equal(getJob(job.id), undefined);
+  assert.equal(cancelJob(job.id), undefined);
+  assert.equal(getJob('no-such-job'), undefined);
+});
+
+test('失敗したステージは retries 回まで再試行する', async () => {
+  let calls = 0;
+  const job = createJob(async ({ stage }) => ({
+    itinerary: await stage('itinerary', async () => {
+      if (++calls < 3) throw new Error(`attempt ${calls} failed`);
+      return 'ok';
+    }, { retries: 2, retryDelayMs: 1 }),
+  }));
+  await job.done;
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result.itinerary, 'ok');
+  assert.equal(job.stages.itinerary.status, 'done');
+  assert.equal(job.stages.itinerary.attempts, 3);
+  assert.equal(job.stages.itinerary.error, null);
+});
+
+test('時間切れのステージはシグナルを中断し、代替値で続ける', async () => {
+  let attemptSignal;
+  const job = createJob(async ({ stage }) => ({
+    // シグナルを見ない処理でも打ち切る
+    cover: await stage('cover', (signal) => {
+      attemptSignal = signal;
+      return new Promise(() => {});
+    }, { timeoutMs: 20, fallback: () => 'local cover' }),
+  }));
+  await job.done;
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.result.cover, 'local cover');
+  assert.equal(attemptSignal.aborted, true);
+  assert.equal(job.stages.cover.status, 'fallback');
+  assert.equal(job.stages.cover.error, 'timed out after 20ms');
+  assert.deepEqual(getFallbackStages(job), ['cover']);
+});
+
+test('代替値の無いステージが失敗したらジョブを失敗にする', async () => {
+  const job = createJob(async ({ stage }) => {
+    await stage('pdf', async () => { throw new Error('render failed'); }, { retries: 1, retryDelayMs: 1 });
+  });
+  await job.done;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'render failed');
+  assert.equal(job.stages.pdf.status, 'failed');
+  assert.equal(job.stages.pdf.attempts, 2);
+});
+
+test('ステージは並列に進められる', { timeout: 2000 }, async () => {
+  // 表紙は感想が始まるまで終わらない（順番に実行していたら終わらない）
+  let impressionStarted;
+  const started = new Promise(resolve => { impressionStarted = resolve; });
+  const job = createJob(async ({ stage }) => {
+    const [cover, impression] = await Promise.all([
+      stage('cover', async () => { await started; return 'cover'; }),
+      stage('impression', async () => { impressionStarted(); return 'impression'; }),
+    ]);
+    return { cover, impression };
+  });
+  await job.done;
+  assert.deepEqual(job.result, { cover: 'cover', impression: 'impression' });
+});
+
+test('再試行の待ちが終わったらジョブのシグナルに abort のリスナーを残さない', async () => {
+  let listeners;
+  const job = createJob(async ({ signal, stage }) => {
+    const before = getEventListeners(signal, 'abort').length;
+    let calls = 0;
+    await stage('itinerary', async () => {
+      if (++calls < 4) throw new Error('retry');
+    }, { retries: 3, retryDelayMs: 1 });
+    listeners = getEventListeners(signal, 'abort').length - before;
+  });
+  await job.done;
+  assert.equal(job.status, 'succeeded');
+  assert.equal(listeners, 0);
+});
+
+test('再試行を待っている間にキャンセルしたらすぐに終わる', async () => {
+  let failed;
+  const firstAttempt = new Promise(resolve => { failed = resolve; });
+  const job = createJob(async ({ stage }) => {
+    await stage('impression', async () => {
+      failed();
+      throw new Error('AI error');
+    }, { retries: 1, retryDelayMs: 60000 });
+  });
+  await firstAttempt;
+  const startedAt = Date.now();
+  cancelJob(job.id);
+  await job.done;
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.stages.impression.status, 'cancelled');
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, PDFDict, PDFName } from 'pdf-lib';
+
+import { saddleStitchOrder, imposeSaddleStitch, pageSizeOf, IMPOSITION_SHEETS } from '../src/paper.js';
+
+const MM_TO_PT = 72 / 25.4;
+
+// 大きさ（mm）が size のページを count ページ持つPDF
+async function createPdf(count, size) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) {
+    // 中身の無いページは埋め込めないので枠を描いておく
+    doc.addPage([size.width * MM_TO_PT, size.height * MM_TO_PT]).drawRectangle({ x: 10, y: 10, width: 20, height: 20 });
+  }
+  return doc.save();
+}
+
+// 面付けした用紙の片面ごとに、描いたしおりのページの数
+function drawnPagesPerSide(doc) {
+  return doc.getPages().map(page => page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict)?.keys().length ?? 0);
+}
+
+test('8ページの中綴じの順番', () => {
+  assert.deepEqual(saddleStitchOrder(8), [[7, 0], [1, 6], [5, 2], [3, 4]]);
+});
+
+test('4の倍数でないページ数は4の倍数に切り上げ、すべてのページを1回ずつ並べる', () => {
+  for (const pageCount of [1, 2, 3, 5, 6, 7, 9, 10, 11, 13]) {
+    const n = Math.ceil(pageCount / 4) * 4;
+    const sides = saddleStitchOrder(pageCount);
+    assert.equal(sides.length, n / 2, `${pageCount}ページ`);
+    assert.deepEqual(sides.flat().sort((a, b) => a - b), Array.from({ length: n }, (_, i) => i), `${pageCount}ページ`);
+    // 二つ折りにしたとき、同じ面に並ぶ2ページの番号の和は n-1
+    for (const [left, right] of sides) assert.equal(left + right, n - 1, `${pageCount}ページ`);
+  }
+  // 足した白紙（5〜8ページ目）は最後に来る
+  assert.deepEqual(saddleStitchOrder(5), [[7, 0], [1, 6], [5, 2], [3, 4]]);
+  assert.deepEqual(saddleStitchOrder(1), [[3, 0], [1, 2]]);
+});
+
+test('6ページのしおりを A4 横に2ページずつ面付けし、足した白紙の枠には何も描かない', async () => {
+  const imposed = await PDFDocument.load(await imposeSaddleStitch(await createPdf(6, pageSizeOf('A5'))));
+  assert.equal(imposed.getPageCount(), 4);
+  for (const page of imposed.getPages()) {
+    const { width, height } = page.getSize();
+    assert.ok(Math.abs(width - IMPOSITION_SHEETS.A4.height * MM_TO_PT) < 0.01);
+    assert.ok(Math.abs(height - IMPOSITION_SHEETS.A4.width * MM_TO_PT) < 0.01);
+  }
+  // [[7, 0], [1, 6], [5, 2], [3, 4]] のうち 6・7 は白紙
+  assert.deepEqual(drawnPagesPerSide(imposed), [1, 1, 2, 2]);
+});
+
+test('横向きのページは縦向きの用紙に上下に並べる', async () => {
+  const imposed = await PDFDocument.load(await imposeSaddleStitch(await createPdf(3, pageSizeOf('B5', 'landscape')), { sheet: 'B4' }));
+  assert.equal(imposed.getPageCount(), 2);
+  const { width, height } = imposed.getPage(0).getSize();
+  assert.ok(width < height);
+  assert.ok(Math.abs(width - IMPOSITION_SHEETS.B4.width * MM_TO_PT) < 0.01);
+  assert.deepEqual(drawnPagesPerSide(imposed), [1, 2]);
+});
+
+test('ページの無いPDFは面付けできない', async () => {
+  const empty = await (await PDFDocument.create()).save({ addDefaultPage: false });
+  await assert.rejects(imposeSaddleStitch(empty), /no pages/);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeReceipt } from '../src/receipt.js';
+
+test('金額・日付・時刻の書き方の違いをそろえ、値引きと外税を入れて検算する', () => {
+  const receipt = normalizeReceipt({
+    店舗名: ' 駅前ストア ',
+    date: '2025年9月12日',
+    time: '9:05',
+    items: [
+      { name: 'おにぎり', amount: '¥300', quantity: '2' },
+      { name: 'お茶', amount: 140 },
+      { name: '', amount: 100 },
+      { name: 'レジ袋', amount: '無料' },
+    ],
+    discounts: [{ name: '値引', amount: '-30' }],
+    taxes: [
+      { name: '内消費税', amount: 30 },
+      { name: '外税', amount: 10, included: 'false' },
+    ],
+    total: '420円',
+  });
+  assert.equal(receipt.storeName, '駅前ストア');
+  assert.equal(receipt.date, '2025-09-12');
+  assert.equal(receipt.time, '09:05');
+  assert.equal(receipt.dateTime, '2025-09-12T09:05:00+09:00');
+  assert.equal(receipt.currency, 'JPY');
+  assert.deepEqual(receipt.items, [
+    { name: 'おにぎり', amount: 300, quantity: 2 },
+    { name: 'お茶', amount: 140 },
+  ]);
+  assert.deepEqual(receipt.discounts, [{ name: '値引', amount: 30 }]);
+  assert.deepEqual(receipt.check, {
+    itemsTotal: 440,
+    discountTotal: 30,
+    taxTotal: 10,
+    computedTotal: 420,
+    printedTotal: 420,
+    difference: 0,
+    matches: true,
+  });
+  assert.deepEqual(receipt.allowance, {
+    title: '駅前ストア',
+    total: 420,
+    currency: 'JPY',
+    date: '2025-09-12',
+    details: [
+      { name: 'おにぎり', amount: 300 },
+      { name: 'お茶', amount: 140 },
+      { name: '値引', amount: -30 },
+      { name: '外税', amount: 10 },
+    ],
+  });
+});
+
+test('外貨のレシートは小数の誤差を丸め、日時は組み立てない', () => {
+  const receipt = normalizeReceipt({
+    storeName: 'Deli',
+    currency: ' usd ',
+    date: '2025/9/3',
+    time: '18:20',
+    items: [{ name: 'Bagel', amount: 1.1 }, { name: 'Coffee', amount: 2.2 }],
+    taxes: [{ name: 'Sales tax', amount: 0.29, included: false }],
+    total: 3.79,
+  });
+  assert.equal(receipt.currency, 'USD');
+  assert.equal(receipt.dateTime, undefined);
+  assert.equal(receipt.check.itemsTotal, 3.3);
+  assert.equal(receipt.check.computedTotal, 3.59);
+  assert.equal(receipt.check.difference, 0.2);
+  assert.equal(receipt.check.matches, false);
+});
+
+test('印字された合計が無ければ計算した合計を allowance に使う', () => {
+  const receipt = normalizeReceipt({ items: [{ name: 'きっぷ', amount: 210 }], time: '25:00' });
+  assert.equal(receipt.check.printedTotal, null);
+  assert.equal(receipt.check.matches, null);
+  assert.equal(receipt.time, undefined);
+  assert.deepEqual(receipt.allowance, {
+    title: 'レシート',
+    total: 210,
+    currency: 'JPY',
+    details: [{ name: 'きっぷ', amount: 210 }],
+  });
+});
+
+test('商品が1つも読み取れなければ null', () => {
+  assert.equal(normalizeReceipt(null), null);
+  assert.equal(normalizeReceipt({ total: 100 }), null);
+  assert.equal(normalizeReceipt({ items: [{ name: '???' }, { amount: 100 }] }), null);
+});
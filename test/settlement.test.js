@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeSettlement, hasSettlementEntries } from '../src/settlement.js';
+
+const members = (...names) => names.map(name => ({ name }));
+
+// やりとりをすべて行ったあとの各人の差額（精算できていれば全員0）
+function applyTransfers({ members: list, transfers }) {
+  const rest = new Map(list.map(m => [m.name, m.balance]));
+  for (const { from, to, amount } of transfers) {
+    assert.ok(amount > 0, `${from} → ${to} の金額が正でない: ${amount}`);
+    rest.set(from, rest.get(from) + amount);
+    rest.set(to, rest.get(to) - amount);
+  }
+  return Object.fromEntries(rest);
+}
+
+test('割り切れない分は先頭の人から1円ずつ負担する', () => {
+  const result = computeSettlement({
+    members: members('A', 'B', 'C'),
+    allowance: [{ title: '昼食', total: 100, paidBy: 'A' }],
+  });
+  assert.deepEqual(result.members, [
+    { name: 'A', paid: 100, share: 34, balance: 66 },
+    { name: 'B', paid: 0, share: 33, balance: -33 },
+    { name: 'C', paid: 0, share: 33, balance: -33 },
+  ]);
+  assert.deepEqual(result.transfers, [
+    { from: 'B', to: 'A', amount: 33 },
+    { from: 'C', to: 'A', amount: 33 },
+  ]);
+  assert.equal(result.total, 100);
+});
+
+test('外貨の基準通貨では最小単位（セント）で分ける', () => {
+  const result = computeSettlement({
+    currency: 'USD',
+    members: members('A', 'B', 'C'),
+    allowance: [{ title: 'Lunch', total: 10, paidBy: 'B' }],
+  });
+  assert.deepEqual(result.members.map(m => m.share), [3.34, 3.33, 3.33]);
+  assert.equal(result.currency, 'USD');
+});
+
+test('差額の合計は0になり、やりとりで全員の差額が0になる', () => {
+  const result = computeSettlement({
+    members: [{ name: 'A', role: 'accountant' }, { name: 'B' }, { name: 'C' }, { name: 'D' }],
+    allowance: [
+      { title: 'バス', total: 1000 },
+      { title: 'おやつ', total: 301, paidBy: 'B', sharedBy: ['B', 'C', 'D'] },
+      { title: 'お土産', total: 777, paidBy: 'D', sharedBy: ['A', 'C'] },
+      { title: '入場料', total: 1234, paidBy: 'C' },
+    ],
+  });
+  assert.equal(result.members.reduce((acc, m) => acc + m.balance, 0), 0);
+  assert.equal(result.members.reduce((acc, m) => acc + m.paid, 0), result.total);
+  assert.equal(result.members.reduce((acc, m) => acc + m.share, 0), result.total);
+  for (const [name, rest] of Object.entries(applyTransfers(result))) {
+    assert.equal(rest, 0, `${name} の差額が残っている`);
+  }
+});
+
+test('やりとりは差額の合計が0になる組ごとに行い、回数が最少になる', () => {
+  // 差額: A +4 / B +3 / C -2 / D -2 / E -3（大きい順に組み合わせると4回、最少は3回）
+  const result = computeSettlement({
+    members: members('A', 'B', 'C', 'D', 'E'),
+    allowance: [
+      { title: '夕食', total: 4, paidBy: 'A', sharedBy: ['C', 'D'] },
+      { title: 'タクシー', total: 3, paidBy: 'B', sharedBy: ['E'] },
+    ],
+  });
+  assert.deepEqual(result.transfers, [
+    { from: 'C', to: 'A', amount: 2 },
+    { from: 'D', to: 'A', amount: 2 },
+    { from: 'E', to: 'B', amount: 3 },
+  ]);
+});
+
+test('支払った人が分からない支出は精算に含めない', () => {
+  const result = computeSettlement({
+    members: members('A', 'B'),
+    allowance: [{ title: '駅弁', total: 900 }],
+  });
+  assert.deepEqual(result.entries, []);
+  assert.deepEqual(result.transfers, []);
+  assert.deepEqual(result.unassigned, [{ title: '駅弁', total: 900, currency: 'JPY' }]);
+});
+
+test('paidBy か sharedBy を書いた支出があるときだけ割り勘のページを載せる', () => {
+  const trip = {
+    members: [{ name: 'A', role: 'accountant' }, { name: 'B' }],
+    allowance: [{ title: 'バス', total: 1000 }],
+  };
+  assert.equal(hasSettlementEntries(trip), false);
+  assert.equal(hasSettlementEntries({ ...trip, allowance: [...trip.allowance, { title: '昼食', total: 800, sharedBy: ['B'] }] }), true);
+  assert.equal(hasSettlementEntries({ ...trip, allowance: [{ title: '昼食', total: 800, paidBy: ' ' }] }), false);
+  assert.equal(hasSettlementEntries(undefined), false);
+});
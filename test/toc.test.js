@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFString, PDFHexString } from 'pdf-lib';
+
+import { findSectionPages, finishBookletPdf } from '../src/toc.js';
+
+// count ページのPDF。catalog(doc, pages) で名前付きのリンク先を書き込む
+async function createPdf(count, catalog = () => {}) {
+  const doc = await PDFDocument.create();
+  const pages = [];
+  for (let i = 0; i < count; i++) {
+    const page = doc.addPage([420, 595]);
+    page.drawRectangle({ x: 10, y: 10, width: 20, height: 20 });
+    pages.push(page);
+  }
+  catalog(doc, pages);
+  return doc.save();
+}
+
+const xyz = (context, page) => context.obj([page.ref, 'XYZ', 0, 595, 0]);
+
+// Chrome と同じ PDF 1.1 形式（カタログの /Dests 辞書）
+const withDests = (targets) => (doc, pages) => {
+  const dests = doc.context.obj({});
+  for (const [name, index] of Object.entries(targets)) dests.set(PDFName.of(name), xyz(doc.context, pages[index]));
+  doc.catalog.set(PDFName.of('Dests'), doc.context.register(dests));
+};
+
+// PDF 1.2 以降の名前ツリー（子を持つ根と、/D を持つ辞書の値）
+const withNameTree = (targets) => (doc, pages) => {
+  const { context } = doc;
+  const kids = Object.entries(targets).map(([name, index]) => context.register(context.obj({
+    Names: [PDFString.of(name), context.register(context.obj({ D: xyz(context, pages[index]) }))],
+  })));
+  const root = context.register(context.obj({ Kids: kids }));
+  doc.catalog.set(PDFName.of('Names'), context.obj({ Dests: root }));
+};
+
+// ブックマークの題名とページ番号（1始まり）を順に読む
+function readOutline(doc) {
+  const pageNumberOf = new Map(doc.getPages().map((page, index) => [page.ref, index + 1]));
+  const outline = doc.catalog.lookup(PDFName.of('Outlines'), PDFDict);
+  const entries = [];
+  for (let ref = outline.get(PDFName.of('First')); ref; ) {
+    const item = doc.context.lookup(ref, PDFDict);
+    const dest = item.lookup(PDFName.of('Dest'), PDFArray);
+    entries.push({ title: item.lookup(PDFName.of('Title'), PDFHexString).decodeText(), page: pageNumberOf.get(dest.get(0)) });
+    ref = item.get(PDFName.of('Next'));
+  }
+  return entries;
+}
+
+// そのページに埋め込んだフォントの数
+const fontCount = (page) => page.node.Resources()?.lookupMaybe(PDFName.of('Font'), PDFDict)?.keys().length ?? 0;
+
+test('カタログの /Dests から各セクションのページ番号を読む（PDFに無い id は含めない）', async () => {
+  const pdf = await createPdf(4, withDests({ itinerary: 1, album: 3 }));
+  assert.deepEqual(await findSectionPages(pdf, ['itinerary', 'album', 'settlement']), { itinerary: 2, album: 4 });
+});
+
+test('名前ツリーの子をたどり、/D を持つリンク先も読む', async () => {
+  const pdf = await createPdf(3, withNameTree({ impression: 2, allowance: 1 }));
+  assert.deepEqual(await findSectionPages(pdf, ['allowance', 'impression']), { allowance: 2, impression: 3 });
+  assert.deepEqual(await findSectionPages(await createPdf(2), ['allowance']), {});
+});
+
+test('目次のセクションを順にブックマークにし、開いたときにブックマークを表示する', async () => {
+  const pdf = await createPdf(5, withDests({ itinerary: 1, album: 3 }));
+  const finished = await PDFDocument.load(await finishBookletPdf(pdf, [
+    { id: 'itinerary', title: '旅程' },
+    { id: 'settlement', title: '割り勘' },
+    { id: 'album', title: 'Album' },
+  ]));
+  assert.deepEqual(readOutline(finished), [
+    { title: '旅程', page: 2 },
+    { title: 'Album', page: 4 },
+  ]);
+  assert.equal(finished.catalog.lookup(PDFName.of('Outlines'), PDFDict).lookup(PDFName.of('Count')).asNumber(), 2);
+  assert.equal(finished.catalog.get(PDFName.of('PageMode')), PDFName.of('UseOutlines'));
+});
+
+test('ページ番号は表紙以外のページにだけ入れ、リンク先が無ければブックマークは作らない', async () => {
+  const finished = await PDFDocument.load(await finishBookletPdf(await createPdf(3), [{ id: 'itinerary', title: '旅程' }]));
+  assert.deepEqual(finished.getPages().map(fontCount), [0, 1, 1]);
+  assert.equal(finished.catalog.get(PDFName.of('Outlines')), undefined);
+  assert.equal(finished.catalog.get(PDFName.of('PageMode')), undefined);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, inflateRawSync } from 'node:zlib';
+
+import { createZip } from '../src/zip.js';
+
+// 中央ディレクトリから各ファイルを読み出す（ローカルヘッダとの食い違い・CRC も確かめる）
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, '終端レコードが無い');
+  const count = zip.readUInt16LE(end + 10);
+  const centralSize = zip.readUInt32LE(end + 12);
+  let pos = zip.readUInt32LE(end + 16);
+  assert.equal(pos + centralSize, end, '中央ディレクトリの位置と大きさが合わない');
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(pos), 0x02014b50, '中央ディレクトリのヘッダが無い');
+    const method = zip.readUInt16LE(pos + 10);
+    const time = zip.readUInt16LE(pos + 12);
+    const date = zip.readUInt16LE(pos + 14);
+    const crc = zip.readUInt32LE(pos + 16);
+    const compressedSize = zip.readUInt32LE(pos + 20);
+    const size = zip.readUInt32LE(pos + 24);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const offset = zip.readUInt32LE(pos + 42);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + zip.readUInt16LE(pos + 30) + zip.readUInt16LE(pos + 32);
+
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50, `${name} のローカルヘッダが無い`);
+    assert.equal(zip.readUInt16LE(offset + 8), method);
+    assert.equal(zip.readUInt32LE(offset + 14), crc);
+    assert.equal(zip.toString('utf8', offset + 30, offset + 30 + zip.readUInt16LE(offset + 26)), name);
+    const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const body = zip.subarray(start, start + compressedSize);
+    const data = method === 0 ? Buffer.from(body) : inflateRawSync(body);
+    assert.equal(data.length, size, `${name} の大きさが合わない`);
+    assert.equal(crc32(data), crc, `${name} の CRC が合わない`);
+    files.push({ name, method, time, date, offset, data });
+  }
+  return files;
+}
+
+test('書き込んだファイルを同じ順・同じ内容で読み出せる', () => {
+  const image = Buffer.from(Array.from({ length: 5000 }, (_, i) => (i * 31) % 256));
+  const entries = [
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'pages/page-001.png', data: image },
+    { name: 'しおり/感想.txt', data: '楽しかった。'.repeat(100) },
+    { name: 'empty.txt', data: '' },
+  ];
+  const files = readZip(createZip(entries));
+  assert.deepEqual(files.map(f => f.name), entries.map(e => e.name));
+  assert.deepEqual(files.map(f => f.method), [0, 8, 8, 8]);
+  for (const [i, entry] of entries.entries()) {
+    assert.deepEqual(files[i].data, Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8'));
+  }
+});
+
+test('EPUB の mimetype は先頭に圧縮せずに置く（38バイト目から読める）', () => {
+  const zip = createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: '<container/>' },
+  ]);
+  assert.equal(zip.toString('latin1', 30, 38), 'mimetype');
+  assert.equal(zip.toString('latin1', 38, 58), 'application/epub+zip');
+});
+
+test('更新日時を DOS 形式（秒は2秒単位）で記録する', () => {
+  const [file] = readZip(createZip([{ name: 'a.txt', data: 'a' }], new Date(2025, 8, 12, 14, 30, 45)));
+  assert.equal(file.date >> 9, 2025 - 1980);
+  assert.equal((file.date >> 5) & 0x0f, 9);
+  assert.equal(file.date & 0x1f, 12);
+  assert.equal(file.time >> 11, 14);
+  assert.equal((file.time >> 5) & 0x3f, 30);
+  assert.equal((file.time & 0x1f) * 2, 44);
+});
+
+test('ファイルが無くても空の ZIP になる', () => {
+  const zip = createZip([]);
+  assert.equal(zip.length, 22);
+  assert.deepEqual(readZip(zip), []);
+});